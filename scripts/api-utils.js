@@ -6,9 +6,18 @@
  */
 
 import fetch from 'node-fetch';
+import fs from 'fs';
+import path from 'path';
 
 const API_BASE_URL = 'http://localhost:3001';
 
+// Sent with every request; required when the server has API keys enabled
+const API_KEY = process.env.API_KEY;
+const authHeaders = () => (API_KEY ? { Authorization: `Bearer ${API_KEY}` } : {});
+
+// Reusing an idempotency key makes the server return the first result instead of running the request again
+const idempotencyHeaders = (idempotencyKey) => (idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : {});
+
 // Colors for console output
 const colors = {
   green: '\x1b[32m',
@@ -43,7 +52,26 @@ export async function checkApiHealth() {
  * Create a token with metadata
  */
 export async function createToken(metadataUrl, options = {}) {
-  const { verbose = true } = options;
+  const {
+    verbose = true,
+    decimals,
+    initialSupply,
+    recipient,
+    atomic,
+    revokeMintAuthority,
+    revokeFreezeAuthority,
+    program,
+    extensions,
+    skipImageCheck,
+    expectedSha256,
+    tokenStandard,
+    sellerFeeBasisPoints,
+    creators,
+    collection,
+    isMutable,
+    multisig,
+    idempotencyKey
+  } = options;
   
   try {
     if (verbose) {
@@ -54,9 +82,27 @@ export async function createToken(metadataUrl, options = {}) {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
+        ...authHeaders(),
+        ...idempotencyHeaders(idempotencyKey),
       },
       body: JSON.stringify({
-        metadataUrl: metadataUrl
+        metadataUrl: metadataUrl,
+        decimals,
+        initialSupply,
+        recipient,
+        atomic,
+        revokeMintAuthority,
+        revokeFreezeAuthority,
+        program,
+        extensions,
+        skipImageCheck,
+        expectedSha256,
+        tokenStandard,
+        sellerFeeBasisPoints,
+        creators,
+        collection,
+        isMutable,
+        multisig
       })
     });
     
@@ -65,12 +111,104 @@ export async function createToken(metadataUrl, options = {}) {
     if (response.ok && data.success) {
       if (verbose) {
         log.success(`Token created: ${data.data.mintAddress}`);
+        log.info(`Metadata SHA-256: ${data.data.metadataSha256}`);
+        for (const [step, tx] of Object.entries(data.data.signatures || {})) {
+          log.info(`${step}: ${tx.signature} (slot ${tx.slot ?? 'unknown'})`);
+          log.info(`  ${tx.explorerUrl}`);
+        }
       }
       return {
         success: true,
         mintAddress: data.data.mintAddress,
         transactionSignature: data.data.transactionSignature,
-        explorerUrl: data.data.explorerUrl
+        signatures: data.data.signatures,
+        explorerUrl: data.data.explorerUrl,
+        decimals: data.data.decimals,
+        initialSupply: data.data.initialSupply,
+        associatedTokenAddress: data.data.associatedTokenAddress,
+        mintToSignature: data.data.mintToSignature,
+        revoked: data.data.revoked,
+        atomic: data.data.atomic,
+        program: data.data.program,
+        multisig: data.data.multisig
+      };
+    } else {
+      if (verbose) {
+        log.error('Token creation failed');
+        console.log('Error:', data.error);
+      }
+      return {
+        success: false,
+        error: data.error,
+        details: data.details
+      };
+    }
+  } catch (error) {
+    if (verbose) {
+      log.error(`Token creation failed: ${error.message}`);
+    }
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Create a token from metadata fields and a local image file (uploaded by the API)
+ */
+export async function createTokenWithUpload(metadata, imagePath, options = {}) {
+  const { verbose = true, idempotencyKey, ...creationOptions } = options;
+  
+  const contentTypes = {
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.svg': 'image/svg+xml'
+  };
+  
+  try {
+    const contentType = contentTypes[path.extname(imagePath).toLowerCase()];
+    if (!contentType) {
+      throw new Error(`Unsupported image type: ${imagePath}`);
+    }
+    
+    if (verbose) {
+      log.info(`Creating token ${metadata.name} with uploaded image: ${imagePath}`);
+    }
+    
+    const response = await fetch(`${API_BASE_URL}/create-token-with-upload`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...authHeaders(),
+        ...idempotencyHeaders(idempotencyKey),
+      },
+      body: JSON.stringify({
+        metadata: metadata,
+        image: {
+          data: fs.readFileSync(imagePath).toString('base64'),
+          contentType: contentType,
+          fileName: path.basename(imagePath)
+        },
+        ...creationOptions
+      })
+    });
+    
+    const data = await response.json();
+    
+    if (response.ok && data.success) {
+      if (verbose) {
+        log.success('Token created successfully!');
+        console.log(`Mint Address: ${data.data.mintAddress}`);
+        console.log(`Metadata URI: ${data.data.metadataUri}`);
+        console.log(`Image URI: ${data.data.imageUri}`);
+      }
+      return {
+        success: true,
+        ...data.data
       };
     } else {
       if (verbose) {
@@ -101,7 +239,9 @@ export async function revokeAuthorities(mintAddress, options = {}) {
   const {
     revokeMintAuthority = true,
     revokeFreezeAuthority = true,
-    verbose = true
+    verbose = true,
+    idempotencyKey,
+    ...extensionOptions // Token-2022 extension authorities, e.g. revokeMetadataUpdateAuthority
   } = options;
   
   try {
@@ -114,11 +254,14 @@ export async function revokeAuthorities(mintAddress, options = {}) {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
+        ...authHeaders(),
+        ...idempotencyHeaders(idempotencyKey),
       },
       body: JSON.stringify({
         mintAddress: mintAddress,
         revokeMintAuthority: revokeMintAuthority,
-        revokeFreezeAuthority: revokeFreezeAuthority
+        revokeFreezeAuthority: revokeFreezeAuthority,
+        ...extensionOptions
       })
     });
     
@@ -126,7 +269,7 @@ export async function revokeAuthorities(mintAddress, options = {}) {
     
     if (response.ok && data.success) {
       if (verbose) {
-        log.success('Authorities revoked successfully');
+        log.success(data.data.pendingSignatures ? 'Authority revocation is waiting for multisig signatures' : 'Authorities revoked successfully');
         log.info(`Mint revoked: ${data.data.revoked.mintAuthority}`);
         log.info(`Freeze revoked: ${data.data.revoked.freezeAuthority}`);
       }
@@ -134,6 +277,7 @@ export async function revokeAuthorities(mintAddress, options = {}) {
         success: true,
         revoked: data.data.revoked,
         signatures: data.data.signatures,
+        pendingSignatures: data.data.pendingSignatures,
         message: data.data.message
       };
     } else {
@@ -158,6 +302,477 @@ export async function revokeAuthorities(mintAddress, options = {}) {
   }
 }
 
+/**
+ * Submit a transaction from unsigned mode (create-token or revoke-authorities with a payer) once the wallet has signed it
+ */
+export async function submitTransaction(transaction, options = {}) {
+  const { verbose = true } = options;
+  
+  try {
+    const response = await fetch(`${API_BASE_URL}/submit`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...authHeaders(),
+      },
+      body: JSON.stringify({
+        transaction: transaction
+      })
+    });
+    
+    const data = await response.json();
+    
+    if (response.ok && data.success) {
+      if (verbose && data.data.status === 'awaiting-signatures') {
+        log.info(`${data.data.step}: still waiting for ${data.data.missingSigners.join(', ')}`);
+      } else if (verbose) {
+        log.success(`${data.data.step}: ${data.data.signature} (slot ${data.data.slot ?? 'unknown'})`);
+      }
+      return {
+        success: true,
+        ...data.data
+      };
+    } else {
+      if (verbose) {
+        log.error('Transaction submission failed');
+        console.log('Error:', data.error);
+      }
+      return {
+        success: false,
+        error: data.error,
+        details: data.details
+      };
+    }
+  } catch (error) {
+    if (verbose) {
+      log.error(`Transaction submission failed: ${error.message}`);
+    }
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Queue a token creation as a background job instead of waiting for it (poll with getJob or waitForJob)
+ */
+export async function createTokenAsync(metadataUrl, options = {}) {
+  const { verbose = true, idempotencyKey, ...createOptions } = options;
+  
+  try {
+    if (verbose) {
+      log.info(`Queueing token creation with metadata: ${metadataUrl}`);
+    }
+    
+    const response = await fetch(`${API_BASE_URL}/create-token`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...authHeaders(),
+        ...idempotencyHeaders(idempotencyKey),
+      },
+      body: JSON.stringify({
+        metadataUrl: metadataUrl,
+        ...createOptions,
+        async: true
+      })
+    });
+    
+    const data = await response.json();
+    
+    if (response.ok && data.success) {
+      if (verbose) {
+        log.success(`Token creation queued: job ${data.data.jobId}`);
+      }
+      return {
+        success: true,
+        jobId: data.data.jobId,
+        status: data.data.status,
+        statusUrl: data.data.statusUrl
+      };
+    } else {
+      if (verbose) {
+        log.error('Queueing token creation failed');
+        console.log('Error:', data.error);
+      }
+      return {
+        success: false,
+        error: data.error,
+        details: data.details
+      };
+    }
+  } catch (error) {
+    if (verbose) {
+      log.error(`Queueing token creation failed: ${error.message}`);
+    }
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Get the status, steps and result of a job queued with async: true
+ */
+export async function getJob(jobId, options = {}) {
+  const { verbose = true } = options;
+  
+  try {
+    const response = await fetch(`${API_BASE_URL}/jobs/${jobId}`, { headers: authHeaders() });
+    const data = await response.json();
+    
+    if (response.ok && data.success) {
+      if (verbose) {
+        const done = data.data.steps.filter((step) => step.status === 'done').length;
+        log.info(`Job ${jobId}: ${data.data.status} (${done}/${data.data.steps.length} steps done)`);
+      }
+      return {
+        success: true,
+        ...data.data
+      };
+    } else {
+      if (verbose) {
+        log.error('Fetching job failed');
+        console.log('Error:', data.error);
+      }
+      return {
+        success: false,
+        error: data.error,
+        details: data.details
+      };
+    }
+  } catch (error) {
+    if (verbose) {
+      log.error(`Fetching job failed: ${error.message}`);
+    }
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Poll a job until it succeeds or fails
+ */
+export async function waitForJob(jobId, options = {}) {
+  const { intervalMs = 2000, timeoutMs = 300000, verbose = true } = options;
+  const deadline = Date.now() + timeoutMs;
+  
+  while (Date.now() < deadline) {
+    const job = await getJob(jobId, { verbose });
+    if (!job.success || job.status === 'succeeded' || job.status === 'failed') {
+      if (verbose && job.status === 'failed') {
+        log.error(`Job ${jobId} failed: ${job.error.message}`);
+      }
+      return job;
+    }
+    await wait(intervalMs);
+  }
+  
+  return {
+    success: false,
+    error: `Job ${jobId} did not finish within ${timeoutMs}ms`
+  };
+}
+
+/**
+ * List tokens created by the server, e.g. { mintAuthority: 'active', sort: 'createdAt', order: 'asc', page: 2, limit: 50 }
+ */
+export async function listTokens(query = {}, options = {}) {
+  const { verbose = true } = options;
+  
+  try {
+    const params = new URLSearchParams(
+      Object.entries(query).filter(([, value]) => value !== undefined).map(([key, value]) => [key, String(value)])
+    );
+    const response = await fetch(`${API_BASE_URL}/tokens?${params}`, { headers: authHeaders() });
+    const data = await response.json();
+    
+    if (response.ok && data.success) {
+      if (verbose) {
+        const { page, totalPages, total } = data.data.pagination;
+        log.info(`Tokens: ${data.data.tokens.length} of ${total} (page ${page}/${totalPages})`);
+      }
+      return {
+        success: true,
+        tokens: data.data.tokens,
+        pagination: data.data.pagination
+      };
+    } else {
+      if (verbose) {
+        log.error('Listing tokens failed');
+        console.log('Error:', data.error);
+      }
+      return {
+        success: false,
+        error: data.error,
+        details: data.details
+      };
+    }
+  } catch (error) {
+    if (verbose) {
+      log.error(`Listing tokens failed: ${error.message}`);
+    }
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Transfer token authorities to new owners
+ */
+export async function transferAuthorities(mintAddress, newAuthorities = {}, options = {}) {
+  const { verbose = true } = options;
+  const { mintAuthority, freezeAuthority, metadataUpdateAuthority } = newAuthorities;
+  
+  try {
+    if (verbose) {
+      log.info(`Transferring authorities for: ${mintAddress}`);
+    }
+    
+    const response = await fetch(`${API_BASE_URL}/transfer-authorities`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...authHeaders(),
+      },
+      body: JSON.stringify({
+        mintAddress: mintAddress,
+        mintAuthority: mintAuthority,
+        freezeAuthority: freezeAuthority,
+        metadataUpdateAuthority: metadataUpdateAuthority
+      })
+    });
+    
+    const data = await response.json();
+    
+    if (response.ok && data.success) {
+      if (verbose) {
+        log.success('Authorities transferred successfully');
+        log.info(`Mint: ${data.data.transferred.mintAuthority}, Freeze: ${data.data.transferred.freezeAuthority}, Metadata: ${data.data.transferred.metadataUpdateAuthority}`);
+      }
+      return {
+        success: true,
+        transferred: data.data.transferred,
+        signatures: data.data.signatures,
+        message: data.data.message
+      };
+    } else {
+      if (verbose) {
+        log.error('Authority transfer failed');
+        console.log('Error:', data.error);
+      }
+      return {
+        success: false,
+        error: data.error,
+        details: data.details
+      };
+    }
+  } catch (error) {
+    if (verbose) {
+      log.error(`Authority transfer failed: ${error.message}`);
+    }
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Mint more tokens (requires the API wallet to hold mint authority)
+ */
+export async function mintTokens(mintAddress, amount, recipient, options = {}) {
+  const { verbose = true, multisigSigners } = options;
+  
+  try {
+    if (verbose) {
+      log.info(`Minting ${amount} tokens of ${mintAddress} to ${recipient}`);
+    }
+    
+    const response = await fetch(`${API_BASE_URL}/mint-tokens`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...authHeaders(),
+      },
+      body: JSON.stringify({
+        mintAddress: mintAddress,
+        amount: String(amount),
+        recipient: recipient,
+        multisigSigners
+      })
+    });
+    
+    const data = await response.json();
+    
+    if (response.ok && data.success) {
+      if (verbose && data.data.pendingSignatures) {
+        log.info(`Minting ${data.data.amount} tokens is waiting for multisig signatures`);
+      } else if (verbose) {
+        log.success(`Minted ${data.data.amount} tokens (new supply: ${data.data.supply})`);
+      }
+      return {
+        success: true,
+        ...data.data
+      };
+    } else {
+      if (verbose) {
+        log.error('Minting failed');
+        console.log('Error:', data.error);
+      }
+      return {
+        success: false,
+        error: data.error,
+        details: data.details
+      };
+    }
+  } catch (error) {
+    if (verbose) {
+      log.error(`Minting failed: ${error.message}`);
+    }
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Burn tokens held by the API wallet
+ */
+export async function burnTokens(mintAddress, amount, options = {}) {
+  const { verbose = true, closeAccount = false } = options;
+  
+  try {
+    if (verbose) {
+      log.info(`Burning ${amount} tokens of ${mintAddress}`);
+    }
+    
+    const response = await fetch(`${API_BASE_URL}/burn`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...authHeaders(),
+      },
+      body: JSON.stringify({
+        mintAddress: mintAddress,
+        amount: String(amount),
+        closeAccount: closeAccount
+      })
+    });
+    
+    const data = await response.json();
+    
+    if (response.ok && data.success) {
+      if (verbose) {
+        log.success(`Burned ${data.data.amount} tokens (new supply: ${data.data.supply})`);
+        if (data.data.accountClosed) {
+          log.info('Token account closed and rent reclaimed');
+        }
+      }
+      return {
+        success: true,
+        ...data.data
+      };
+    } else {
+      if (verbose) {
+        log.error('Burning failed');
+        console.log('Error:', data.error);
+      }
+      return {
+        success: false,
+        error: data.error,
+        details: data.details
+      };
+    }
+  } catch (error) {
+    if (verbose) {
+      log.error(`Burning failed: ${error.message}`);
+    }
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Freeze or thaw token accounts (requires the API wallet to hold freeze authority)
+ */
+export async function setAccountsFrozen(mintAddress, accounts, action, options = {}) {
+  const { verbose = true } = options;
+  const list = Array.isArray(accounts) ? accounts : [accounts];
+  
+  try {
+    if (verbose) {
+      log.info(`${action === 'freeze' ? 'Freezing' : 'Thawing'} ${list.length} account(s) of ${mintAddress}`);
+    }
+    
+    const response = await fetch(`${API_BASE_URL}/${action}-account`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...authHeaders(),
+      },
+      body: JSON.stringify({
+        mintAddress: mintAddress,
+        accounts: list
+      })
+    });
+    
+    const data = await response.json();
+    
+    if (response.ok && data.success) {
+      if (verbose) {
+        const changed = data.data.accounts.filter((account) => account.changed).length;
+        log.success(`${changed} account(s) ${action === 'freeze' ? 'frozen' : 'thawed'} in ${data.data.signatures.length} transaction(s)`);
+      }
+      return {
+        success: true,
+        ...data.data
+      };
+    } else {
+      if (verbose) {
+        log.error(`${action === 'freeze' ? 'Freezing' : 'Thawing'} failed`);
+        console.log('Error:', data.error);
+      }
+      return {
+        success: false,
+        error: data.error,
+        details: data.details
+      };
+    }
+  } catch (error) {
+    if (verbose) {
+      log.error(`${action === 'freeze' ? 'Freezing' : 'Thawing'} failed: ${error.message}`);
+    }
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Freeze token accounts
+ */
+export async function freezeAccounts(mintAddress, accounts, options = {}) {
+  return setAccountsFrozen(mintAddress, accounts, 'freeze', options);
+}
+
+/**
+ * Thaw token accounts
+ */
+export async function thawAccounts(mintAddress, accounts, options = {}) {
+  return setAccountsFrozen(mintAddress, accounts, 'thaw', options);
+}
+
 /**
  * Create token and revoke authorities in one operation
  */
@@ -344,7 +959,7 @@ export function wait(ms) {
 }
 
 /**
- * Retry an operation with exponential backoff
+ * Retry an operation with exponential backoff (give creations and revocations a fixed idempotencyKey so a retry cannot repeat them)
  */
 export async function retryOperation(operation, options = {}) {
   const {
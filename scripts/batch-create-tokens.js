@@ -9,6 +9,10 @@ import fetch from 'node-fetch';
 
 const API_BASE_URL = 'http://localhost:3001';
 
+// Sent with every request; required when the server has API keys enabled
+const API_KEY = process.env.API_KEY;
+const authHeaders = () => (API_KEY ? { Authorization: `Bearer ${API_KEY}` } : {});
+
 // Colors for console output
 const colors = {
   green: '\x1b[32m',
@@ -74,6 +78,7 @@ async function createToken(config) {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
+        ...authHeaders(),
       },
       body: JSON.stringify({
         metadataUrl: config.metadataUrl
@@ -119,6 +124,7 @@ async function revokeAuthorities(mintAddress, config) {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
+        ...authHeaders(),
       },
       body: JSON.stringify({
         mintAddress: mintAddress,
@@ -248,6 +254,7 @@ async function batchCreateTokens() {
     const fs = await import('fs');
     fs.writeFileSync(filename, JSON.stringify(results, null, 2));
     log.success(`Results exported to: ${filename}`);
+    log.info(`The server keeps its own record of every token it created: ${API_BASE_URL}/tokens`);
   } catch (error) {
     log.warning(`Could not export results: ${error.message}`);
   }
@@ -10,6 +10,10 @@ import { createInterface } from 'readline';
 
 const API_BASE_URL = 'http://localhost:3001';
 
+// Sent with every request; required when the server has API keys enabled
+const API_KEY = process.env.API_KEY;
+const authHeaders = () => (API_KEY ? { Authorization: `Bearer ${API_KEY}` } : {});
+
 // Colors for console output
 const colors = {
   green: '\x1b[32m',
@@ -59,8 +63,9 @@ function displayMainMenu() {
   console.log('3. 🔒 Revoke Authorities');
   console.log('4. 🚀 Create Token + Revoke Authorities');
   console.log('5. 📊 Batch Create Tokens');
-  console.log('6. 🧪 Run Tests');
-  console.log('7. ❌ Exit');
+  console.log('6. 🔍 Inspect Token');
+  console.log('7. 🧪 Run Tests');
+  console.log('8. ❌ Exit');
   console.log('');
 }
 
@@ -108,6 +113,7 @@ async function createToken() {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
+        ...authHeaders(),
       },
       body: JSON.stringify({
         metadataUrl: metadataUrl.trim()
@@ -120,7 +126,9 @@ async function createToken() {
       log.success('Token created successfully!');
       console.log(`\n📋 Token Details:`);
       console.log(`   Mint Address: ${colors.bold}${data.data.mintAddress}${colors.reset}`);
-      console.log(`   Transaction: ${data.data.transactionSignature}`);
+      for (const [step, tx] of Object.entries(data.data.signatures || {})) {
+        console.log(`   ${step}: ${tx.signature} (slot ${tx.slot ?? 'unknown'})`);
+      }
       console.log(`   Explorer: ${colors.blue}${data.data.explorerUrl}${colors.reset}`);
       
       return data.data.mintAddress;
@@ -199,6 +207,7 @@ async function revokeAuthorities(mintAddress = null) {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
+        ...authHeaders(),
       },
       body: JSON.stringify({
         mintAddress: mintAddress,
@@ -227,6 +236,63 @@ async function revokeAuthorities(mintAddress = null) {
   }
 }
 
+/**
+ * Inspect a token's on-chain state
+ */
+async function inspectToken() {
+  log.header('Inspect Token');
+  
+  const mintAddress = await prompt('Enter mint address: ');
+  
+  if (!mintAddress.trim()) {
+    log.error('Mint address is required');
+    return;
+  }
+  
+  try {
+    const response = await fetch(`${API_BASE_URL}/token/${encodeURIComponent(mintAddress.trim())}`, { headers: authHeaders() });
+    const data = await response.json();
+    
+    if (response.ok && data.success) {
+      const token = data.data;
+      console.log(`\n📋 Token State:`);
+      console.log(`   Mint Address: ${colors.bold}${token.mintAddress}${colors.reset} (${token.program})`);
+      console.log(`   Supply: ${token.supply} (${token.decimals} decimals)`);
+      console.log(`   Mint Authority: ${token.mintAuthority ?? 'revoked'}`);
+      console.log(`   Freeze Authority: ${token.freezeAuthority ?? 'revoked'}`);
+      
+      if (token.metadata) {
+        console.log(`\n📝 Metadata:`);
+        console.log(`   Name: ${token.metadata.name}`);
+        console.log(`   Symbol: ${token.metadata.symbol}`);
+        console.log(`   URI: ${token.metadata.uri}`);
+        console.log(`   Update Authority: ${token.metadata.updateAuthority ?? 'none'}`);
+        console.log(`   Mutable: ${token.metadata.isMutable}`);
+        if (token.metadata.tokenStandard) {
+          console.log(`   Token Standard: ${token.metadata.tokenStandard}`);
+        }
+      } else {
+        log.warning('No on-chain metadata found');
+      }
+      
+      if (token.offChainMetadata) {
+        console.log(`\n🌐 Off-chain Metadata:`);
+        console.log(`   Description: ${token.offChainMetadata.description ?? '-'}`);
+        console.log(`   Image: ${token.offChainMetadata.image ?? '-'}`);
+      } else if (token.offChainMetadataError) {
+        log.warning(`Off-chain metadata unavailable: ${token.offChainMetadataError}`);
+      }
+      
+      console.log(`\n   Explorer: ${colors.blue}${token.explorerUrl}${colors.reset}`);
+    } else {
+      log.error('Token lookup failed');
+      console.log('Error:', data.error);
+    }
+  } catch (error) {
+    log.error(`Token lookup failed: ${error.message}`);
+  }
+}
+
 /**
  * Create token and revoke authorities in one flow
  */
@@ -328,7 +394,7 @@ async function main() {
   while (true) {
     displayMainMenu();
     
-    const choice = await prompt('Select an option (1-7): ');
+    const choice = await prompt('Select an option (1-8): ');
     
     switch (choice.trim()) {
       case '1':
@@ -347,15 +413,18 @@ async function main() {
         await batchCreateTokens();
         break;
       case '6':
-        await runTests();
+        await inspectToken();
         break;
       case '7':
+        await runTests();
+        break;
+      case '8':
         log.info('Goodbye! 👋');
         rl.close();
         process.exit(0);
         break;
       default:
-        log.error('Invalid choice. Please select 1-7.');
+        log.error('Invalid choice. Please select 1-8.');
     }
     
     // Wait for user to continue
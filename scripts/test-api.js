@@ -9,6 +9,10 @@ import fetch from 'node-fetch';
 
 const API_BASE_URL = 'http://localhost:3001';
 
+// Sent with every request; required when the server has API keys enabled
+const API_KEY = process.env.API_KEY;
+const authHeaders = () => (API_KEY ? { Authorization: `Bearer ${API_KEY}` } : {});
+
 // Colors for console output
 const colors = {
   green: '\x1b[32m',
@@ -69,6 +73,7 @@ async function testTokenCreation() {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
+        ...authHeaders(),
       },
       body: JSON.stringify({
         metadataUrl: TEST_METADATA_URL
@@ -115,6 +120,7 @@ async function testAuthorityRevocation(mintAddress) {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
+        ...authHeaders(),
       },
       body: JSON.stringify({
         mintAddress: mintAddress,
@@ -179,6 +185,7 @@ async function testErrorHandling() {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
+          ...authHeaders(),
         },
         body: JSON.stringify(test.body)
       });
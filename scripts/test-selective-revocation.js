@@ -9,6 +9,10 @@ import fetch from 'node-fetch';
 
 const API_BASE_URL = 'http://localhost:3001';
 
+// Sent with every request; required when the server has API keys enabled
+const API_KEY = process.env.API_KEY;
+const authHeaders = () => (API_KEY ? { Authorization: `Bearer ${API_KEY}` } : {});
+
 // Colors for console output
 const colors = {
   green: '\x1b[32m',
@@ -43,6 +47,7 @@ async function createTestToken(testName) {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
+        ...authHeaders(),
       },
       body: JSON.stringify({
         metadataUrl: TEST_METADATA_URL
@@ -84,6 +89,7 @@ async function testRevokeMintAuthorityOnly() {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
+        ...authHeaders(),
       },
       body: JSON.stringify({
         mintAddress: mintAddress,
@@ -136,6 +142,7 @@ async function testRevokeFreezeAuthorityOnly() {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
+        ...authHeaders(),
       },
       body: JSON.stringify({
         mintAddress: mintAddress,
@@ -189,6 +196,7 @@ async function testRevokeBothAuthorities() {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
+        ...authHeaders(),
       },
       body: JSON.stringify({
         mintAddress: mintAddress,
@@ -242,6 +250,7 @@ async function testDefaultBehavior() {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
+        ...authHeaders(),
       },
       body: JSON.stringify({
         mintAddress: mintAddress
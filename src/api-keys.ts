@@ -0,0 +1,239 @@
+import crypto from 'crypto'
+import fs from 'fs'
+import { createJsonStore, getDataPath, readJsonFile, writeJsonFile } from './data-store'
+import { getConnection, getPayerKeypair } from './solana'
+
+// Prefix of every key this service issues, so a leaked key is easy to recognize
+export const API_KEY_PREFIX = 'sk_';
+
+// Daily limits of a key (unset = unlimited). Days are UTC
+export interface ApiKeyLimits {
+  tokensPerDay?: number;
+  lamportsPerDay?: number; // Fees and rent paid by the service wallet
+}
+
+// An API key as stored: only the SHA-256 of the key itself is kept
+export interface ApiKeyRecord {
+  id: string;
+  name: string;
+  hash: string;
+  hint: string; // Start of the key, to tell keys apart in listings
+  limits: ApiKeyLimits;
+  createdAt: string;
+  revokedAt?: string;
+}
+
+// What a key used on one UTC day
+export interface ApiKeyUsage {
+  date: string; // YYYY-MM-DD
+  tokensCreated: number;
+  lamportsSpent: number;
+  lastUsedAt?: string;
+}
+
+// Keys are written by the admin CLI only and usage by the server only, so neither overwrites the other
+interface ApiKeysFile {
+  keys: ApiKeyRecord[];
+}
+
+interface ApiKeyUsageFile {
+  usage: Record<string, ApiKeyUsage>;
+}
+
+const KEYS_FILE = 'api-keys.json';
+const usageStore = createJsonStore<ApiKeyUsageFile>('api-key-usage.json', () => ({ usage: {} }));
+
+// Keys as last read, reloaded whenever the admin CLI changes the file
+let loadedKeys: { mtimeMs: number; keys: ApiKeyRecord[] } | null = null;
+
+const hashApiKey = (key: string): string => crypto.createHash('sha256').update(key).digest('hex');
+
+const today = (): string => new Date().toISOString().slice(0, 10);
+
+const emptyUsage = (): ApiKeyUsage => ({ date: today(), tokensCreated: 0, lamportsSpent: 0 });
+
+const readKeysFile = async (): Promise<ApiKeysFile> => {
+  return await readJsonFile<ApiKeysFile>(getDataPath(KEYS_FILE)) ?? { keys: [] };
+};
+
+const loadApiKeys = async (): Promise<ApiKeyRecord[]> => {
+  const file = getDataPath(KEYS_FILE);
+  const stat = await fs.promises.stat(file).catch(() => null);
+  if (!stat) {
+    return [];
+  }
+  if (loadedKeys?.mtimeMs !== stat.mtimeMs) {
+    loadedKeys = { mtimeMs: stat.mtimeMs, keys: (await readKeysFile()).keys };
+  }
+  return loadedKeys.keys;
+};
+
+// Change the stored keys (admin CLI)
+const updateApiKeys = async <R>(change: (keys: ApiKeyRecord[]) => R): Promise<R> => {
+  const data = await readKeysFile();
+  const result = change(data.keys);
+  await writeJsonFile(getDataPath(KEYS_FILE), data);
+  return result;
+};
+
+const findApiKey = (keys: ApiKeyRecord[], id: string): ApiKeyRecord => {
+  const record = keys.find((candidate) => candidate.id === id);
+  if (!record) {
+    throw new Error(`API key not found: ${id}`);
+  }
+  return record;
+};
+
+// Create a key. The key itself is returned only here; afterwards only its hash exists
+export const createApiKey = async (name: string, limits: ApiKeyLimits = {}): Promise<{ key: string; record: ApiKeyRecord }> => {
+  const key = `${API_KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+  const record: ApiKeyRecord = {
+    id: `key_${crypto.randomBytes(6).toString('hex')}`,
+    name,
+    hash: hashApiKey(key),
+    hint: key.slice(0, API_KEY_PREFIX.length + 4),
+    limits,
+    createdAt: new Date().toISOString(),
+  };
+  await updateApiKeys((keys) => keys.push(record));
+  return { key, record };
+};
+
+export const listApiKeys = async (): Promise<ApiKeyRecord[]> => (await readKeysFile()).keys;
+
+export const revokeApiKey = async (id: string): Promise<ApiKeyRecord> => {
+  return updateApiKeys((keys) => {
+    const record = findApiKey(keys, id);
+    record.revokedAt ??= new Date().toISOString();
+    return record;
+  });
+};
+
+// Replace a key's limits; null removes a limit, undefined leaves it unchanged
+export const setApiKeyLimits = async (
+  id: string,
+  limits: { [K in keyof ApiKeyLimits]?: number | null }
+): Promise<ApiKeyRecord> => {
+  return updateApiKeys((keys) => {
+    const record = findApiKey(keys, id);
+    for (const [name, value] of Object.entries(limits) as [keyof ApiKeyLimits, number | null | undefined][]) {
+      if (value === null) {
+        delete record.limits[name];
+      } else if (value !== undefined) {
+        record.limits[name] = value;
+      }
+    }
+    return record;
+  });
+};
+
+// The active key matching a presented key, or null
+export const authenticateApiKey = async (key: string): Promise<ApiKeyRecord | null> => {
+  const hash = Buffer.from(hashApiKey(key), 'hex');
+  const keys = await loadApiKeys();
+  const record = keys.find((candidate) => crypto.timingSafeEqual(Buffer.from(candidate.hash, 'hex'), hash));
+  return record && !record.revokedAt ? record : null;
+};
+
+// Today's usage of a key (zero once the UTC day has changed)
+export const getApiKeyUsage = async (id: string): Promise<ApiKeyUsage> => {
+  const usage = (await usageStore.read()).usage[id];
+  return usage?.date === today() ? usage : { ...emptyUsage(), lastUsedAt: usage?.lastUsedAt };
+};
+
+// Usage as last saved by the server, for the admin CLI
+export const readApiKeyUsage = async (): Promise<Record<string, ApiKeyUsage>> => {
+  return (await readJsonFile<ApiKeyUsageFile>(getDataPath('api-key-usage.json')))?.usage ?? {};
+};
+
+// Seconds until the daily limits reset at midnight UTC
+export const secondsUntilQuotaReset = (): number => {
+  const now = new Date();
+  const midnight = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+  return Math.ceil((midnight - now.getTime()) / 1000);
+};
+
+// Why a key with this usage may not start an operation, or null
+const getQuotaError = ({ tokensPerDay, lamportsPerDay }: ApiKeyLimits, usage: ApiKeyUsage, createsToken: boolean): string | null => {
+  if (createsToken && tokensPerDay !== undefined && usage.tokensCreated >= tokensPerDay) {
+    return `Quota exceeded: daily limit of ${tokensPerDay} token(s) created reached`;
+  }
+  if (lamportsPerDay !== undefined && usage.lamportsSpent >= lamportsPerDay) {
+    return `Quota exceeded: daily limit of ${lamportsPerDay} lamports spent reached`;
+  }
+  return null;
+};
+
+// Why a key may not start an operation today, or null. Lamports are checked against what has been
+// recorded so far, so operations already in progress can take a key slightly past that limit
+export const checkApiKeyQuota = async (record: ApiKeyRecord, createsToken: boolean): Promise<string | null> => {
+  return getQuotaError(record.limits, await getApiKeyUsage(record.id), createsToken);
+};
+
+// Count a token against a key's daily limit before it is created, so creations running or queued
+// at the same time cannot take the key past it. Returns the day the token was counted on, to
+// release it if the creation fails, or why the key may not create one
+export const reserveApiKeyToken = async (record: ApiKeyRecord): Promise<{ reservedOn: string } | { quotaError: string }> => {
+  return usageStore.update(({ usage }) => {
+    const current = usage[record.id]?.date === today() ? usage[record.id] : emptyUsage();
+    const quotaError = getQuotaError(record.limits, current, true);
+    if (quotaError) {
+      return { quotaError };
+    }
+    usage[record.id] = { ...current, tokensCreated: current.tokensCreated + 1, lastUsedAt: new Date().toISOString() };
+    return { reservedOn: current.date };
+  });
+};
+
+// Give back a token counted by reserveApiKeyToken on `reservedOn` (YYYY-MM-DD) whose creation failed.
+// Once that day is over the count no longer matters
+export const releaseApiKeyToken = async (id: string | undefined, reservedOn: string | undefined): Promise<void> => {
+  if (!id || reservedOn !== today()) {
+    return;
+  }
+  try {
+    await usageStore.update(({ usage }) => {
+      if (usage[id]?.date === reservedOn && usage[id].tokensCreated > 0) {
+        usage[id].tokensCreated--;
+      }
+    });
+  } catch (error) {
+    console.error('⚠️  Could not release reserved token:', error);
+  }
+};
+
+// Lamports the service wallet paid for a landed transaction (fees and rent), 0 when someone else paid
+const getLamportsSpent = async (signature: string): Promise<number> => {
+  const transaction = await getConnection().getParsedTransaction(signature, { maxSupportedTransactionVersion: 0 });
+  if (!transaction?.meta) {
+    return 0;
+  }
+  const payer = getPayerKeypair().publicKey.toString();
+  const index = transaction.transaction.message.accountKeys.findIndex(({ pubkey }) => pubkey.toString() === payer);
+  return index === -1 ? 0 : Math.max(0, transaction.meta.preBalances[index] - transaction.meta.postBalances[index]);
+};
+
+// Add the costs of an operation's transactions to a key's usage (tokens are counted when reserved).
+// The operation already happened, so a failure here is logged rather than failing it
+export const recordApiKeyUsage = async (id: string | undefined, { signatures = [] }: { signatures?: string[] }): Promise<void> => {
+  if (!id) {
+    return;
+  }
+  try {
+    let lamportsSpent = 0;
+    for (const signature of signatures) {
+      lamportsSpent += await getLamportsSpent(signature);
+    }
+
+    await usageStore.update(({ usage }) => {
+      const current = usage[id]?.date === today() ? usage[id] : emptyUsage();
+      usage[id] = {
+        ...current,
+        lamportsSpent: current.lamportsSpent + lamportsSpent,
+        lastUsedAt: new Date().toISOString(),
+      };
+    });
+  } catch (error) {
+    console.error('⚠️  Could not record API key usage:', error);
+  }
+};
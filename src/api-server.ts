@@ -2,26 +2,224 @@ import express from 'express';
 import cors from 'cors';
 import helmet from 'helmet';
 import morgan from 'morgan';
-import { createTokenFromMetadataUrl, TokenCreationResult, revokeTokenAuthorities } from './create-token';
+import {
+  createTokenFromMetadataUrl,
+  CreateTokenOptions,
+  CreatorShare,
+  isNonFungibleStandard,
+  METAPLEX_TOKEN_STANDARDS,
+  MetaplexTokenStandard,
+  prepareAuthorityRevocation,
+  prepareTokenCreation,
+  TokenCreationResult,
+  revokeTokenAuthorities
+} from './create-token';
+import { loadConfig, ServiceConfig } from './config';
+import {
+  ApiKeyRecord,
+  authenticateApiKey,
+  checkApiKeyQuota,
+  recordApiKeyUsage,
+  releaseApiKeyToken,
+  reserveApiKeyToken,
+  secondsUntilQuotaReset
+} from './api-keys';
+import { createConcurrencyLimiter, createRateLimiter } from './rate-limit';
+import { idempotent, markRetryableFailure, pruneIdempotencyRecords } from './idempotency';
+import { getPayerKeypair } from './solana';
+import { MAX_DECIMALS, parseTokenAmount } from './token-amount';
+import { Token2022Extensions, TokenProgram } from './token-2022';
+import { mintTokens } from './mint-tokens';
+import { FreezeAccountsResult, FreezeAction, MAX_FREEZE_ACCOUNTS, PartialFreezeError, setTokenAccountsFrozen } from './freeze-accounts';
+import { burnTokens } from './burn-tokens';
+import { submitTransaction } from './unsigned-transactions';
+import { enqueueJob, getJob, Job, startJobWorker, toPublicJob } from './job-queue';
+import { CreateTokenJobParams, registerTokenJobHandlers, RevokeAuthoritiesJobParams } from './token-jobs';
+import { MAX_MULTISIG_SIGNERS, MultisigOptions } from './multisig';
+import { transferTokenAuthorities } from './transfer-authorities';
+import { updateTokenMetadata } from './update-metadata';
+import { getTokenInfo } from './token-info';
+import { listTokens, MAX_TOKENS_PAGE_SIZE, TokenListQuery } from './token-registry';
+import { getMetadataIssues, MetadataIssue, MetadataValidationError } from './metadata-validation';
+import { SafeFetchError, SafeFetchErrorCode } from './safe-fetch';
+import { isValidContentUri, parseContentUri } from './content-uri';
+import { MAX_IMAGE_BYTES } from './image-verification';
+import { UPLOAD_IMAGE_TYPES, uploadTokenMetadata } from './upload-metadata';
+import { PublicKey } from '@solana/web3.js';
+
+// Validate configuration once at startup so misconfiguration fails fast
+let config: ServiceConfig;
+try {
+  config = loadConfig();
+} catch (error) {
+  console.error(error instanceof Error ? error.message : error);
+  process.exit(1);
+}
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Behind a reverse proxy, req.ip is the client address from X-Forwarded-For (one proxy hop)
+if (config.rateLimit.trustProxy) {
+  app.set('trust proxy', 1);
+}
+
 // Middleware
 app.use(helmet()); // Security headers
 app.use(cors()); // Enable CORS
 app.use(morgan('combined')); // Logging
+app.use(createRateLimiter({ // Per-client-IP request limit, checked before anything else is done for the request
+  windowMs: config.rateLimit.windowMs,
+  max: config.rateLimit.perIp,
+  keyOf: (req) => (req.path === '/health' ? undefined : req.ip),
+  message: 'Too many requests from this IP address, try again later'
+}));
+
+// Callers identify themselves with "Authorization: Bearer <key>" or "X-API-Key: <key>"
+const getPresentedApiKey = (req: express.Request): string | undefined => {
+  const authorization = req.get('authorization');
+  if (authorization?.startsWith('Bearer ')) {
+    return authorization.slice('Bearer '.length).trim();
+  }
+  return req.get('x-api-key') || undefined;
+};
+
+// API key authentication, before any body is parsed. The key is kept in res.locals.apiKey for quotas
+// and attribution; health checks and files served to wallets and explorers stay public
+app.use(async (req, res, next) => {
+  if (req.path === '/health' || req.path.startsWith('/uploads/')) {
+    return next();
+  }
+  try {
+    const presented = getPresentedApiKey(req);
+    const apiKey = presented ? await authenticateApiKey(presented) : null;
+    if (presented ? !apiKey : config.auth.requireApiKey) {
+      res.set('WWW-Authenticate', 'Bearer');
+      return res.status(401).json({
+        success: false,
+        error: presented ? 'Invalid API key' : 'Missing API key: send it as "Authorization: Bearer <key>" or "X-API-Key"'
+      } as ErrorResponse);
+    }
+    res.locals.apiKey = apiKey ?? undefined;
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.use(createRateLimiter({ // Per-API-key request limit
+  windowMs: config.rateLimit.windowMs,
+  max: config.rateLimit.perKey,
+  keyOf: (req, res) => (res.locals.apiKey as ApiKeyRecord | undefined)?.id,
+  message: 'Too many requests with this API key, try again later'
+}));
+
+app.use('/create-token-with-upload', express.json({ limit: '10mb' })); // Base64 images need a larger body limit
 app.use(express.json()); // Parse JSON bodies
 
+// Files written by the local storage driver are served from here
+if (config.storage.driver === 'local') {
+  app.use('/uploads', express.static(config.storage.localDir, {
+    setHeaders: (res) => res.setHeader('Cross-Origin-Resource-Policy', 'cross-origin')
+  }));
+}
+
 // Request interfaces
-interface CreateTokenRequest {
-  metadataUrl: string;
+interface CreateTokenOptionsRequest {
+  decimals?: number;
+  initialSupply?: string;
+  recipient?: string;
+  atomic?: boolean;
+  revokeMintAuthority?: boolean;
+  revokeFreezeAuthority?: boolean;
+  program?: TokenProgram;
+  extensions?: Token2022Extensions;
+  skipImageCheck?: boolean;
+  tokenStandard?: MetaplexTokenStandard;
+  sellerFeeBasisPoints?: number;
+  creators?: CreatorShare[];
+  collection?: string;
+  isMutable?: boolean;
+  multisig?: MultisigOptions;
+}
+
+interface CreateTokenRequest extends CreateTokenOptionsRequest {
+  metadataUrl: string; // http(s) URL, ipfs:// or ar:// URI, or an IPFS CID
+  expectedSha256?: string;
+  onChainGateway?: string;
+  payer?: string; // Build unsigned transactions for this wallet instead of sending them
+  async?: boolean; // Queue a job and answer 202 with its id instead of waiting for the transactions
+}
+
+interface CreateTokenWithUploadRequest extends CreateTokenOptionsRequest {
+  metadata: {
+    name: string;
+    symbol: string;
+    description: string;
+    creator?: {
+      name: string;
+      site: string;
+    };
+    external_url?: string;
+    twitter?: string;
+    telegram?: string;
+    discord?: string;
+  };
+  image: {
+    data: string; // Base64 encoded file contents
+    contentType: string;
+    fileName?: string;
+  };
 }
 
 interface RevokeAuthoritiesRequest {
   mintAddress: string;
   revokeMintAuthority?: boolean;
   revokeFreezeAuthority?: boolean;
+  revokeTransferFeeConfigAuthority?: boolean;
+  revokeWithheldWithdrawAuthority?: boolean;
+  revokePermanentDelegate?: boolean;
+  revokeMetadataPointerAuthority?: boolean;
+  revokeMetadataUpdateAuthority?: boolean;
+  payer?: string; // Build an unsigned transaction for this wallet instead of sending it
+  multisigSigners?: string[];
+  async?: boolean; // Queue a job and answer 202 with its id instead of waiting for the transaction
+}
+
+interface SubmitTransactionRequest {
+  transaction: string; // Base64 transaction issued by /create-token or /revoke-authorities, signed by the caller
+}
+
+interface TransferAuthoritiesRequest {
+  mintAddress: string;
+  mintAuthority?: string;
+  freezeAuthority?: string;
+  metadataUpdateAuthority?: string;
+}
+
+interface UpdateMetadataRequest {
+  mintAddress: string;
+  metadataUrl: string;
+  isMutable?: boolean;
+}
+
+interface MintTokensRequest {
+  mintAddress: string;
+  amount: string;
+  recipient: string;
+  multisigSigners?: string[]; // Members that sign when the mint authority is a multisig
+}
+
+interface BurnTokensRequest {
+  mintAddress: string;
+  amount: string;
+  closeAccount?: boolean;
+}
+
+interface FreezeAccountsRequest {
+  mintAddress: string;
+  account?: string; // Owner wallet or token account address
+  accounts?: string[]; // Several of the above, handled in as few transactions as possible
 }
 
 // Response interfaces
@@ -30,10 +228,22 @@ interface CreateTokenResponse {
   data: TokenCreationResult;
 }
 
+interface JobAcceptedResponse {
+  success: true;
+  data: {
+    jobId: string;
+    status: Job['status'];
+    statusUrl: string; // Poll this for step-by-step progress and the result
+  };
+}
+
 interface ErrorResponse {
   success: false;
   error: string;
   details?: string;
+  issues?: MetadataIssue[]; // Every metadata problem, on 422 responses
+  code?: SafeFetchErrorCode; // Why a metadata or image URL could not be fetched
+  partial?: FreezeAccountsResult; // Accounts changed and transactions sent before a freeze/thaw failed
 }
 
 // Utility function to validate URL
@@ -44,69 +254,957 @@ const isValidUrl = (urlString: string): boolean => {
   } catch {
     return false;
   }
-};
-
-// Health check endpoint
-app.get('/health', (req, res) => {
-  res.json({ status: 'OK', timestamp: new Date().toISOString() });
+};
+
+// Utility function to validate a base58 public key
+const isValidPublicKey = (address: string): boolean => {
+  try {
+    new PublicKey(address);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// Utility function to validate Token-2022 extension options, returning an error message if invalid
+const validateToken2022Extensions = (extensions: any, decimals: number): string | null => {
+  if (typeof extensions !== 'object' || extensions === null || Array.isArray(extensions)) {
+    return 'extensions must be an object';
+  }
+
+  const { transferFee, nonTransferable, permanentDelegate } = extensions;
+  if (transferFee !== undefined) {
+    if (typeof transferFee !== 'object' || transferFee === null) {
+      return 'extensions.transferFee must be an object with basisPoints and maximumFee';
+    }
+    if (!Number.isInteger(transferFee.basisPoints) || transferFee.basisPoints < 0 || transferFee.basisPoints > 10000) {
+      return 'extensions.transferFee.basisPoints must be an integer between 0 and 10000';
+    }
+    if (typeof transferFee.maximumFee !== 'string') {
+      return 'extensions.transferFee.maximumFee must be a string (e.g. "1000")';
+    }
+    try {
+      parseTokenAmount(transferFee.maximumFee, decimals);
+    } catch (error) {
+      return `extensions.transferFee.maximumFee: ${error instanceof Error ? error.message : String(error)}`;
+    }
+  }
+
+  if (nonTransferable !== undefined && typeof nonTransferable !== 'boolean') {
+    return 'extensions.nonTransferable must be a boolean';
+  }
+
+  if (permanentDelegate !== undefined && (typeof permanentDelegate !== 'string' || !isValidPublicKey(permanentDelegate))) {
+    return 'extensions.permanentDelegate must be a valid Solana public key';
+  }
+
+  return null;
+};
+
+// Validate the Metaplex createV1 options, returning an error message or null
+const validateMetaplexOptions = (body: CreateTokenOptionsRequest): string | null => {
+  const { program, tokenStandard, sellerFeeBasisPoints, creators, collection, isMutable, decimals, initialSupply } = body;
+
+  const given = Object.entries({ tokenStandard, sellerFeeBasisPoints, creators, collection, isMutable })
+    .filter(([, value]) => value !== undefined)
+    .map(([name]) => name);
+  if (given.length === 0) {
+    return null;
+  }
+  if (program === 'token-2022') {
+    return `${given.join(', ')} ${given.length === 1 ? 'is' : 'are'} only supported with program "spl-token"`;
+  }
+
+  if (tokenStandard !== undefined) {
+    if (!METAPLEX_TOKEN_STANDARDS.includes(tokenStandard)) {
+      return `tokenStandard must be one of: ${METAPLEX_TOKEN_STANDARDS.join(', ')}`;
+    }
+    if (tokenStandard !== 'Fungible' && decimals !== undefined && decimals !== 0) {
+      return `decimals must be 0 for tokenStandard "${tokenStandard}"`;
+    }
+    if (isNonFungibleStandard(tokenStandard)) {
+      if (initialSupply !== undefined && initialSupply !== '1') {
+        return `initialSupply must be "1" for tokenStandard "${tokenStandard}"`;
+      }
+      if (body.revokeMintAuthority || body.revokeFreezeAuthority) {
+        return `mint and freeze authorities of a "${tokenStandard}" token are held by its master edition and cannot be revoked`;
+      }
+    }
+  }
+
+  if (sellerFeeBasisPoints !== undefined && (!Number.isInteger(sellerFeeBasisPoints) || sellerFeeBasisPoints < 0 || sellerFeeBasisPoints > 10000)) {
+    return 'sellerFeeBasisPoints must be an integer between 0 and 10000';
+  }
+
+  if (creators !== undefined) {
+    if (!Array.isArray(creators) || creators.length === 0 || creators.length > 5) {
+      return 'creators must be an array of 1 to 5 { address, share } entries';
+    }
+    for (const [index, creator] of creators.entries()) {
+      if (typeof creator !== 'object' || creator === null || typeof creator.address !== 'string' || !isValidPublicKey(creator.address)) {
+        return `creators[${index}].address must be a valid Solana public key`;
+      }
+      if (!Number.isInteger(creator.share) || creator.share < 0 || creator.share > 100) {
+        return `creators[${index}].share must be an integer between 0 and 100`;
+      }
+    }
+    if (new Set(creators.map((creator) => creator.address)).size !== creators.length) {
+      return 'creators must not contain duplicate addresses';
+    }
+    if (creators.reduce((total, creator) => total + creator.share, 0) !== 100) {
+      return 'creators shares must add up to 100';
+    }
+  }
+
+  if (collection !== undefined && (typeof collection !== 'string' || !isValidPublicKey(collection))) {
+    return 'collection must be a valid Solana public key';
+  }
+
+  return null;
+};
+
+// Validate the multisig creation option, returning an error message or null
+const validateMultisigOptions = (body: CreateTokenOptionsRequest): string | null => {
+  const { multisig, tokenStandard, revokeMintAuthority, revokeFreezeAuthority } = body;
+  if (multisig === undefined) {
+    return null;
+  }
+  if (typeof multisig !== 'object' || multisig === null || Array.isArray(multisig)) {
+    return 'multisig must be an object with either address, or signers and threshold';
+  }
+
+  const { address, signers, threshold } = multisig;
+  if ((address === undefined) === (signers === undefined)) {
+    return 'multisig needs either address (an existing multisig) or signers (for a new one), not both';
+  }
+  if (address !== undefined && (typeof address !== 'string' || !isValidPublicKey(address))) {
+    return 'multisig.address must be a valid Solana public key';
+  }
+  if (address !== undefined && threshold !== undefined) {
+    return 'multisig.threshold only applies to a new multisig (with signers)';
+  }
+  if (signers !== undefined) {
+    if (!Array.isArray(signers) || signers.length === 0 || signers.length > MAX_MULTISIG_SIGNERS) {
+      return `multisig.signers must be an array of 1 to ${MAX_MULTISIG_SIGNERS} public keys`;
+    }
+    if (signers.some((signer) => typeof signer !== 'string' || !isValidPublicKey(signer))) {
+      return 'multisig.signers must all be valid Solana public keys';
+    }
+    if (new Set(signers).size !== signers.length) {
+      return 'multisig.signers must not contain duplicates';
+    }
+    if (threshold !== undefined && (!Number.isInteger(threshold) || threshold < 1 || threshold > signers.length)) {
+      return `multisig.threshold must be an integer between 1 and ${signers.length}`;
+    }
+  }
+
+  if (tokenStandard !== undefined && isNonFungibleStandard(tokenStandard)) {
+    return `mint and freeze authorities of a "${tokenStandard}" token are held by its master edition and cannot go to a multisig`;
+  }
+  if (revokeMintAuthority && revokeFreezeAuthority) {
+    return 'multisig has no authority to hold when both mint and freeze authorities are revoked';
+  }
+  return null;
+};
+
+// Validate a list of multisig members chosen to sign, returning an error message or null
+const validateMultisigSigners = (multisigSigners: unknown): string | null => {
+  if (multisigSigners === undefined) {
+    return null;
+  }
+  if (!Array.isArray(multisigSigners) || multisigSigners.length === 0 || multisigSigners.length > MAX_MULTISIG_SIGNERS) {
+    return `multisigSigners must be an array of 1 to ${MAX_MULTISIG_SIGNERS} public keys`;
+  }
+  if (multisigSigners.some((signer) => typeof signer !== 'string' || !isValidPublicKey(signer))) {
+    return 'multisigSigners must all be valid Solana public keys';
+  }
+  return null;
+};
+
+// Validate the async flag, which cannot be combined with unsigned (payer) mode, returning an error message or null
+const validateAsync = (isAsync: unknown, payer: unknown): string | null => {
+  if (isAsync !== undefined && typeof isAsync !== 'boolean') {
+    return 'async must be a boolean';
+  }
+  if (isAsync && payer !== undefined) {
+    return 'async cannot be combined with payer; unsigned transactions are returned immediately';
+  }
+  return null;
+};
+
+// The API key of the request, if any
+const getApiKeyId = (res: express.Response): string | undefined => (res.locals.apiKey as ApiKeyRecord | undefined)?.id;
+
+const sendQuotaExceeded = (res: express.Response, quotaError: string) => {
+  res.set('Retry-After', String(secondsUntilQuotaReset()));
+  res.status(429).json({
+    success: false,
+    error: quotaError
+  } as ErrorResponse);
+};
+
+// Refuse an operation once the caller's key has reached one of its daily limits, until midnight UTC
+const checkQuota = (createsToken: boolean) => async (req: express.Request, res: express.Response, next: express.NextFunction) => {
+  const apiKey: ApiKeyRecord | undefined = res.locals.apiKey;
+  if (!apiKey) {
+    return next();
+  }
+  try {
+    const quotaError = await checkApiKeyQuota(apiKey, createsToken);
+    if (quotaError) {
+      return sendQuotaExceeded(res, quotaError);
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Count the token a validated request is about to create against the caller's daily limit, whether
+// it is created now, queued as a job or handed out unsigned. Sends 429 and returns false when the
+// limit has been reached in the meantime
+const reserveToken = async (res: express.Response): Promise<boolean> => {
+  const apiKey: ApiKeyRecord | undefined = res.locals.apiKey;
+  if (!apiKey) {
+    return true;
+  }
+  const reservation = await reserveApiKeyToken(apiKey);
+  if ('quotaError' in reservation) {
+    sendQuotaExceeded(res, reservation.quotaError);
+    return false;
+  }
+  res.locals.tokenReservedOn = reservation.reservedOn;
+  return true;
+};
+
+// Give back the token reserved for a creation that failed
+const releaseToken = (res: express.Response): Promise<void> => releaseApiKeyToken(getApiKeyId(res), res.locals.tokenReservedOn);
+
+// Every on-chain operation is paid by the one service wallet, so only a few run at once and the rest wait their turn
+const limitOperations = createConcurrencyLimiter(config.rateLimit);
+
+// Idempotency-Key support, with keys scoped to the caller's API key. It runs before the quota and
+// operation limits so a replay is answered without waiting for a slot
+const idempotentRequest = idempotent((res) => getApiKeyId(res) ?? 'anonymous');
+
+// Whether a metadata or image URL could not be fetched. That happens before anything is sent, so the
+// request may be retried with the same Idempotency-Key
+const isFetchFailure = (error: unknown): boolean => {
+  return error instanceof SafeFetchError || (error instanceof Error && /Failed to fetch (metadata|image)/.test(error.message));
+};
+
+// Status code for a failed token creation, shared by /create-token and /create-token-with-upload
+const getCreationErrorStatus = (error: unknown): number => {
+  if (!(error instanceof Error)) {
+    return 500;
+  }
+
+  // Categorize errors for appropriate status codes
+  if (error instanceof MetadataValidationError || error.message.includes('Invalid image') || error.message.includes('hash mismatch')) {
+    return 422; // Unprocessable - metadata or its image fails validation or pinning
+  } else if (isFetchFailure(error)) {
+    return 400; // Bad request - invalid URL or network issue
+  } else if (error.message.includes('JSON')) {
+    return 400; // Bad request - malformed JSON
+  } else if (error.message.includes('Invalid multisig')) {
+    return 400; // Bad request - multisig address is not a multisig account
+  }
+  return 500;
+};
+
+// Answer 202 for a queued job
+const sendJobAccepted = (res: express.Response, job: Job) => {
+  res.status(202).json({
+    success: true,
+    data: { jobId: job.id, status: job.status, statusUrl: `/jobs/${job.id}` }
+  } as JobAcceptedResponse);
+};
+
+// Utility function to validate the GET /tokens query string
+const parseTokenListQuery = (query: Record<string, unknown>): { query: TokenListQuery; error?: string } => {
+  const { mintAuthority, freezeAuthority, program, apiKeyId, createdAfter, createdBefore, sort, order, page, limit } = query;
+  const parsed: TokenListQuery = {};
+
+  for (const [name, value] of Object.entries({ mintAuthority, freezeAuthority })) {
+    if (value !== undefined && value !== 'active' && value !== 'revoked') {
+      return { query: parsed, error: `${name} must be "active" or "revoked"` };
+    }
+  }
+  parsed.mintAuthority = mintAuthority as TokenListQuery['mintAuthority'];
+  parsed.freezeAuthority = freezeAuthority as TokenListQuery['freezeAuthority'];
+
+  if (program !== undefined && program !== 'spl-token' && program !== 'token-2022') {
+    return { query: parsed, error: 'program must be "spl-token" or "token-2022"' };
+  }
+  parsed.program = program;
+
+  if (apiKeyId !== undefined && typeof apiKeyId !== 'string') {
+    return { query: parsed, error: 'apiKeyId must be a single API key id' };
+  }
+  parsed.apiKeyId = apiKeyId;
+
+  for (const [name, value] of Object.entries({ createdAfter, createdBefore })) {
+    if (value !== undefined && (typeof value !== 'string' || Number.isNaN(Date.parse(value)))) {
+      return { query: parsed, error: `${name} must be an ISO 8601 date (e.g. "2025-01-31" or "2025-01-31T12:00:00Z")` };
+    }
+  }
+  parsed.createdAfter = createdAfter ? new Date(createdAfter as string) : undefined;
+  parsed.createdBefore = createdBefore ? new Date(createdBefore as string) : undefined;
+
+  if (sort !== undefined && sort !== 'createdAt' && sort !== 'updatedAt') {
+    return { query: parsed, error: 'sort must be "createdAt" or "updatedAt"' };
+  }
+  if (order !== undefined && order !== 'asc' && order !== 'desc') {
+    return { query: parsed, error: 'order must be "asc" or "desc"' };
+  }
+  parsed.sort = sort;
+  parsed.order = order;
+
+  if (page !== undefined && !/^[1-9][0-9]*$/.test(String(page))) {
+    return { query: parsed, error: 'page must be a positive integer' };
+  }
+  if (limit !== undefined && (!/^[1-9][0-9]*$/.test(String(limit)) || Number(limit) > MAX_TOKENS_PAGE_SIZE)) {
+    return { query: parsed, error: `limit must be an integer between 1 and ${MAX_TOKENS_PAGE_SIZE}` };
+  }
+  parsed.page = page === undefined ? undefined : Number(page);
+  parsed.limit = limit === undefined ? undefined : Number(limit);
+
+  return { query: parsed };
+};
+
+// Utility function to validate the creation options shared by the token creation endpoints
+const parseCreateTokenOptions = (body: CreateTokenOptionsRequest): { options: CreateTokenOptions; error?: string } => {
+  const {
+    decimals,
+    initialSupply,
+    recipient,
+    atomic,
+    revokeMintAuthority,
+    revokeFreezeAuthority,
+    program,
+    extensions,
+    skipImageCheck,
+    tokenStandard,
+    sellerFeeBasisPoints,
+    creators,
+    collection,
+    isMutable,
+    multisig
+  } = body;
+  const options: CreateTokenOptions = {
+    decimals,
+    initialSupply,
+    recipient,
+    atomic,
+    revokeMintAuthority,
+    revokeFreezeAuthority,
+    program,
+    extensions,
+    skipImageCheck,
+    tokenStandard,
+    sellerFeeBasisPoints,
+    creators,
+    collection,
+    isMutable,
+    multisig
+  };
+  const defaultDecimals = tokenStandard === undefined || tokenStandard === 'Fungible' ? 9 : 0;
+
+  // Validate optional supply parameters
+  if (decimals !== undefined && (!Number.isInteger(decimals) || decimals < 0 || decimals > MAX_DECIMALS)) {
+    return { options, error: `decimals must be an integer between 0 and ${MAX_DECIMALS}` };
+  }
+
+  if (initialSupply !== undefined) {
+    if (typeof initialSupply !== 'string') {
+      return { options, error: 'initialSupply must be a string (e.g. "1000000")' };
+    }
+
+    try {
+      parseTokenAmount(initialSupply, decimals ?? defaultDecimals);
+    } catch (error) {
+      return { options, error: error instanceof Error ? error.message : String(error) };
+    }
+  }
+
+  if (recipient !== undefined && (typeof recipient !== 'string' || !isValidPublicKey(recipient))) {
+    return { options, error: 'recipient must be a valid Solana public key' };
+  }
+
+  // Validate boolean parameters if provided
+  for (const [name, value] of Object.entries({ atomic, revokeMintAuthority, revokeFreezeAuthority, skipImageCheck, isMutable })) {
+    if (value !== undefined && typeof value !== 'boolean') {
+      return { options, error: `${name} must be a boolean` };
+    }
+  }
+
+  // Validate token program and Token-2022 extensions
+  if (program !== undefined && program !== 'spl-token' && program !== 'token-2022') {
+    return { options, error: 'program must be "spl-token" or "token-2022"' };
+  }
+
+  if (extensions !== undefined) {
+    if (program !== 'token-2022') {
+      return { options, error: 'extensions are only supported with program "token-2022"' };
+    }
+
+    const extensionsError = validateToken2022Extensions(extensions, decimals ?? 9);
+    if (extensionsError) {
+      return { options, error: extensionsError };
+    }
+  }
+
+  const metaplexError = validateMetaplexOptions(body);
+  if (metaplexError) {
+    return { options, error: metaplexError };
+  }
+
+  const multisigError = validateMultisigOptions(body);
+  if (multisigError) {
+    return { options, error: multisigError };
+  }
+
+  return { options };
+};
+
+// Health check endpoint
+app.get('/health', (req, res) => {
+  res.json({ status: 'OK', timestamp: new Date().toISOString() });
+});
+
+// Token inspection endpoint
+app.get('/token/:mintAddress', async (req, res) => {
+  try {
+    const { mintAddress } = req.params;
+
+    if (!isValidPublicKey(mintAddress)) {
+      return res.status(400).json({
+        success: false,
+        error: 'mintAddress must be a valid Solana public key'
+      } as ErrorResponse);
+    }
+
+    const result = await getTokenInfo(mintAddress);
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Error fetching token info:', error);
+
+    const errorMessage = error instanceof Error ? error.message : 'An unexpected error occurred';
+    const statusCode = errorMessage.includes('Could not fetch mint information') ? 404 : 500;
+
+    res.status(statusCode).json({
+      success: false,
+      error: errorMessage,
+      details: process.env.NODE_ENV === 'development' ? error instanceof Error ? error.stack : String(error) : undefined
+    } as ErrorResponse);
+  }
+});
+
+// Tokens created by this service, from the local registry
+app.get('/tokens', async (req, res) => {
+  try {
+    const { query, error: queryError } = parseTokenListQuery(req.query);
+    if (queryError) {
+      return res.status(400).json({
+        success: false,
+        error: queryError
+      } as ErrorResponse);
+    }
+
+    // A caller with an API key only sees the tokens it created
+    const result = await listTokens({ ...query, apiKeyId: getApiKeyId(res) ?? query.apiKeyId });
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Error listing tokens:', error);
+
+    res.status(500).json({
+      success: false,
+      error: error instanceof Error ? error.message : 'An unexpected error occurred',
+      details: process.env.NODE_ENV === 'development' ? error instanceof Error ? error.stack : String(error) : undefined
+    } as ErrorResponse);
+  }
+});
+
+// Main token creation endpoint
+app.post('/create-token', idempotentRequest, checkQuota(true), limitOperations(async (req, res) => {
+  try {
+    // Validate request body
+    const { metadataUrl, expectedSha256, onChainGateway, payer, async: isAsync }: CreateTokenRequest = req.body;
+
+    if (!metadataUrl) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required parameter: metadataUrl'
+      } as ErrorResponse);
+    }
+
+    if (typeof metadataUrl !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'metadataUrl must be a string'
+      } as ErrorResponse);
+    }
+
+    // Validate URL format (http(s), ipfs://, ar:// or a bare IPFS CID)
+    if (!isValidContentUri(metadataUrl)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid URL format. Use an http(s) URL, an ipfs:// or ar:// URI, or an IPFS CID'
+      } as ErrorResponse);
+    }
+
+    // Validate creation options
+    const { options, error: optionsError } = parseCreateTokenOptions(req.body);
+    if (optionsError) {
+      return res.status(400).json({
+        success: false,
+        error: optionsError
+      } as ErrorResponse);
+    }
+
+    if (expectedSha256 !== undefined && (typeof expectedSha256 !== 'string' || !/^[0-9a-fA-F]{64}$/.test(expectedSha256))) {
+      return res.status(400).json({
+        success: false,
+        error: 'expectedSha256 must be a 64 character hex SHA-256 digest'
+      } as ErrorResponse);
+    }
+
+    if (onChainGateway !== undefined) {
+      if (typeof onChainGateway !== 'string' || !isValidUrl(onChainGateway)) {
+        return res.status(400).json({
+          success: false,
+          error: 'onChainGateway must be an http(s) gateway URL'
+        } as ErrorResponse);
+      }
+      if (parseContentUri(metadataUrl).kind === 'http') {
+        return res.status(400).json({
+          success: false,
+          error: 'onChainGateway only applies to ipfs://, ar:// and CID metadata URIs'
+        } as ErrorResponse);
+      }
+    }
+
+    if (payer !== undefined && (typeof payer !== 'string' || !isValidPublicKey(payer))) {
+      return res.status(400).json({
+        success: false,
+        error: 'payer must be a valid Solana public key'
+      } as ErrorResponse);
+    }
+
+    const asyncError = validateAsync(isAsync, payer);
+    if (asyncError) {
+      return res.status(400).json({
+        success: false,
+        error: asyncError
+      } as ErrorResponse);
+    }
+
+    if (!await reserveToken(res)) {
+      return;
+    }
+
+    // With a payer, hand back transactions for the caller's wallet to sign and /submit
+    if (payer) {
+      console.log(`Preparing token creation for ${payer} with metadata from: ${metadataUrl}`);
+      const prepared = await prepareTokenCreation(metadataUrl, payer, { ...options, expectedSha256, onChainGateway, apiKeyId: getApiKeyId(res) });
+      return res.json({
+        success: true,
+        data: prepared
+      });
+    }
+
+    // Metadata is fetched and transactions are sent by the job worker; poll GET /jobs/:id
+    if (isAsync) {
+      const params: CreateTokenJobParams = {
+        metadataUrl,
+        options: { ...options, expectedSha256, onChainGateway, apiKeyId: getApiKeyId(res) },
+        reservedOn: res.locals.tokenReservedOn
+      };
+      return sendJobAccepted(res, await enqueueJob('create-token', { ...params }, getApiKeyId(res)));
+    }
+
+    console.log(`Creating token with metadata from: ${metadataUrl}`);
+
+    // Create the token
+    const result = await createTokenFromMetadataUrl(metadataUrl, { ...options, expectedSha256, onChainGateway, apiKeyId: getApiKeyId(res) });
+
+    // Return success response
+    res.json({
+      success: true,
+      data: result
+    } as CreateTokenResponse);
+
+  } catch (error) {
+    console.error('Error creating token:', error);
+    await releaseToken(res);
+    if (isFetchFailure(error)) {
+      markRetryableFailure();
+    }
+
+    res.status(getCreationErrorStatus(error)).json({
+      success: false,
+      error: error instanceof Error ? error.message : 'An unexpected error occurred',
+      details: process.env.NODE_ENV === 'development' ? error instanceof Error ? error.stack : String(error) : undefined,
+      issues: error instanceof MetadataValidationError ? error.issues : undefined,
+      code: error instanceof SafeFetchError ? error.code : undefined
+    } as ErrorResponse);
+  }
+}));
+
+// Token creation endpoint that uploads the metadata and image first
+app.post('/create-token-with-upload', idempotentRequest, checkQuota(true), limitOperations(async (req, res) => {
+  try {
+    // Validate request body
+    const { metadata, image }: CreateTokenWithUploadRequest = req.body;
+
+    if (!metadata || typeof metadata !== 'object') {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required parameter: metadata'
+      } as ErrorResponse);
+    }
+
+    // Check the metadata fields before paying for any uploads (the image URI is added after upload)
+    const metadataIssues = getMetadataIssues(metadata, { requireImage: false });
+    if (metadataIssues.length > 0) {
+      return res.status(422).json({
+        success: false,
+        error: new MetadataValidationError(metadataIssues).message,
+        issues: metadataIssues
+      } as ErrorResponse);
+    }
+
+    if (!image || typeof image !== 'object' || typeof image.data !== 'string' || typeof image.contentType !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required parameter: image (with base64 data and contentType)'
+      } as ErrorResponse);
+    }
+
+    if (!UPLOAD_IMAGE_TYPES[image.contentType]) {
+      return res.status(400).json({
+        success: false,
+        error: `image.contentType must be one of: ${Object.keys(UPLOAD_IMAGE_TYPES).join(', ')}`
+      } as ErrorResponse);
+    }
+
+    if (image.fileName !== undefined && typeof image.fileName !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'image.fileName must be a string'
+      } as ErrorResponse);
+    }
+
+    if (!/^[A-Za-z0-9+/]+={0,2}$/.test(image.data) || image.data.length % 4 !== 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'image.data must be base64 encoded'
+      } as ErrorResponse);
+    }
+
+    const imageData = Buffer.from(image.data, 'base64');
+    if (imageData.length > MAX_IMAGE_BYTES) {
+      return res.status(400).json({
+        success: false,
+        error: `image must be at most ${MAX_IMAGE_BYTES} bytes`
+      } as ErrorResponse);
+    }
+
+    // Validate creation options before paying for any uploads
+    const { options, error: optionsError } = parseCreateTokenOptions(req.body);
+    if (optionsError) {
+      return res.status(400).json({
+        success: false,
+        error: optionsError
+      } as ErrorResponse);
+    }
+
+    if (!await reserveToken(res)) {
+      return;
+    }
+
+    const { name, symbol, description, creator, external_url, twitter, telegram, discord } = metadata;
+    const upload = await uploadTokenMetadata(
+      { name, symbol, description, creator, external_url, twitter, telegram, discord },
+      { data: imageData, contentType: image.contentType, fileName: image.fileName }
+    );
+
+    console.log(`Creating token with uploaded metadata: ${upload.metadataUri}`);
+
+    // Create the token from the freshly uploaded metadata (the image was verified before upload)
+    const result = await createTokenFromMetadataUrl(upload.metadataUri, { ...options, skipImageCheck: true, apiKeyId: getApiKeyId(res) });
+
+    res.json({
+      success: true,
+      data: {
+        ...result,
+        image: upload.image,
+        imageUri: upload.imageUri,
+        metadataUri: upload.metadataUri,
+        storage: upload.storage
+      }
+    });
+
+  } catch (error) {
+    console.error('Error creating token with upload:', error);
+    await releaseToken(res);
+    if (isFetchFailure(error)) {
+      markRetryableFailure();
+    }
+
+    res.status(getCreationErrorStatus(error)).json({
+      success: false,
+      error: error instanceof Error ? error.message : 'An unexpected error occurred',
+      details: process.env.NODE_ENV === 'development' ? error instanceof Error ? error.stack : String(error) : undefined,
+      issues: error instanceof MetadataValidationError ? error.issues : undefined,
+      code: error instanceof SafeFetchError ? error.code : undefined
+    } as ErrorResponse);
+  }
+}));
+
+// Revoke token authorities endpoint
+app.post('/revoke-authorities', idempotentRequest, checkQuota(false), limitOperations(async (req, res) => {
+  try {
+    // Validate request body
+    const {
+      mintAddress,
+      revokeMintAuthority,
+      revokeFreezeAuthority,
+      payer,
+      multisigSigners,
+      async: isAsync,
+      ...extensionOptions
+    }: RevokeAuthoritiesRequest = req.body;
+
+    if (!mintAddress) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required parameter: mintAddress'
+      } as ErrorResponse);
+    }
+
+    if (typeof mintAddress !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'mintAddress must be a string'
+      } as ErrorResponse);
+    }
+
+    // Validate boolean parameters if provided
+    if (revokeMintAuthority !== undefined && typeof revokeMintAuthority !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        error: 'revokeMintAuthority must be a boolean'
+      } as ErrorResponse);
+    }
+
+    if (revokeFreezeAuthority !== undefined && typeof revokeFreezeAuthority !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        error: 'revokeFreezeAuthority must be a boolean'
+      } as ErrorResponse);
+    }
+
+    // Token-2022 extension authorities are only revoked when explicitly requested
+    const extensionOptionNames = [
+      'revokeTransferFeeConfigAuthority',
+      'revokeWithheldWithdrawAuthority',
+      'revokePermanentDelegate',
+      'revokeMetadataPointerAuthority',
+      'revokeMetadataUpdateAuthority'
+    ] as const;
+    for (const name of extensionOptionNames) {
+      if (extensionOptions[name] !== undefined && typeof extensionOptions[name] !== 'boolean') {
+        return res.status(400).json({
+          success: false,
+          error: `${name} must be a boolean`
+        } as ErrorResponse);
+      }
+    }
+
+    const multisigSignersError = validateMultisigSigners(multisigSigners);
+    if (multisigSignersError) {
+      return res.status(400).json({
+        success: false,
+        error: multisigSignersError
+      } as ErrorResponse);
+    }
+
+    // Default to revoking both authorities if not specified
+    const options = {
+      revokeMintAuthority: revokeMintAuthority ?? true,
+      revokeFreezeAuthority: revokeFreezeAuthority ?? true,
+      ...Object.fromEntries(extensionOptionNames.map((name) => [name, extensionOptions[name] ?? false])),
+      multisigSigners
+    };
+
+    if (payer !== undefined && (typeof payer !== 'string' || !isValidPublicKey(payer))) {
+      return res.status(400).json({
+        success: false,
+        error: 'payer must be a valid Solana public key'
+      } as ErrorResponse);
+    }
+
+    const asyncError = validateAsync(isAsync, payer);
+    if (asyncError) {
+      return res.status(400).json({
+        success: false,
+        error: asyncError
+      } as ErrorResponse);
+    }
+
+    // With a payer, hand back a transaction for the caller's wallet (the current authority) to sign and /submit
+    if (payer) {
+      console.log(`Preparing authority revocation for token ${mintAddress} signed by ${payer}`, options);
+      const prepared = await prepareAuthorityRevocation(mintAddress, payer, options);
+      return res.json({
+        success: true,
+        data: prepared
+      });
+    }
+
+    if (isAsync) {
+      const params: RevokeAuthoritiesJobParams = { mintAddress, options, apiKeyId: getApiKeyId(res) };
+      return sendJobAccepted(res, await enqueueJob('revoke-authorities', { ...params }, getApiKeyId(res)));
+    }
+
+    console.log(`Revoking authorities for token: ${mintAddress}`, options);
+
+    // Revoke the authorities
+    const result = await revokeTokenAuthorities(mintAddress, options);
+    await recordApiKeyUsage(getApiKeyId(res), { signatures: result.signatures });
+
+    if (result.success && result.pendingSignatures) {
+      // Accepted - multisig members still have to sign and /submit the transaction
+      res.status(202).json({
+        success: true,
+        data: {
+          mintAddress,
+          signatures: result.signatures || [],
+          revoked: result.revoked || { mintAuthority: false, freezeAuthority: false },
+          program: result.program,
+          pendingSignatures: result.pendingSignatures,
+          message: 'Authority revocation is waiting for multisig signatures'
+        }
+      });
+    } else if (result.success) {
+      // Return success response
+      res.json({
+        success: true,
+        data: {
+          mintAddress,
+          signatures: result.signatures || [],
+          revoked: result.revoked || { mintAuthority: false, freezeAuthority: false },
+          program: result.program,
+          message: 'Authority revocation completed'
+        }
+      });
+    } else {
+      const isMultisigError = result.error?.includes('Multisig signers required') || result.error?.includes('Invalid multisig signers');
+      res.status(isMultisigError ? 400 : 500).json({
+        success: false,
+        error: result.error || 'Failed to revoke authorities'
+      } as ErrorResponse);
+    }
+
+  } catch (error) {
+    console.error('Error revoking authorities:', error);
+
+    const errorMessage = error instanceof Error ? error.message : 'An unexpected error occurred';
+    res.status(errorMessage.includes('Could not fetch mint information') ? 404 : 500).json({
+      success: false,
+      error: errorMessage
+    } as ErrorResponse);
+  }
+}));
+
+// Job status endpoint for asynchronous creation and revocation
+app.get('/jobs/:id', async (req, res) => {
+  try {
+    const job = await getJob(req.params.id);
+
+    // Jobs of other API keys are reported as missing rather than forbidden, so their ids reveal nothing
+    const apiKeyId = getApiKeyId(res);
+    if (!job || (apiKeyId !== undefined && job.apiKeyId !== apiKeyId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found'
+      } as ErrorResponse);
+    }
+
+    res.json({
+      success: true,
+      data: toPublicJob(job)
+    });
+
+  } catch (error) {
+    console.error('Error fetching job:', error);
+
+    res.status(500).json({
+      success: false,
+      error: error instanceof Error ? error.message : 'An unexpected error occurred',
+      details: process.env.NODE_ENV === 'development' ? error instanceof Error ? error.stack : String(error) : undefined
+    } as ErrorResponse);
+  }
 });
 
-// Main token creation endpoint
-app.post('/create-token', async (req, res) => {
+// Submit a caller-signed transaction issued by /create-token or /revoke-authorities
+app.post('/submit', idempotentRequest, checkQuota(false), limitOperations(async (req, res) => {
   try {
     // Validate request body
-    const { metadataUrl }: CreateTokenRequest = req.body;
+    const { transaction }: SubmitTransactionRequest = req.body;
 
-    if (!metadataUrl) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing required parameter: metadataUrl'
-      } as ErrorResponse);
-    }
-
-    if (typeof metadataUrl !== 'string') {
+    if (!transaction) {
       return res.status(400).json({
         success: false,
-        error: 'metadataUrl must be a string'
+        error: 'Missing required parameter: transaction'
       } as ErrorResponse);
     }
 
-    // Validate URL format
-    if (!isValidUrl(metadataUrl)) {
+    if (typeof transaction !== 'string' || !/^[A-Za-z0-9+/]+={0,2}$/.test(transaction)) {
       return res.status(400).json({
         success: false,
-        error: 'Invalid URL format. URL must start with http:// or https://'
+        error: 'transaction must be a base64 encoded transaction'
       } as ErrorResponse);
     }
 
-    console.log(`Creating token with metadata from: ${metadataUrl}`);
-
-    // Create the token
-    const result = await createTokenFromMetadataUrl(metadataUrl);
+    const result = await submitTransaction(transaction);
+    await recordApiKeyUsage(getApiKeyId(res), { signatures: result.signature ? [result.signature] : [] });
 
-    // Return success response
-    res.json({
+    // 202 while other signers (e.g. multisig members) still have to submit their signatures
+    res.status(result.status === 'awaiting-signatures' ? 202 : 200).json({
       success: true,
       data: result
-    } as CreateTokenResponse);
+    });
 
   } catch (error) {
-    console.error('Error creating token:', error);
+    console.error('Error submitting transaction:', error);
 
-    // Handle different types of errors
     let errorMessage = 'An unexpected error occurred';
     let statusCode = 500;
 
     if (error instanceof Error) {
       errorMessage = error.message;
-      
+
       // Categorize errors for appropriate status codes
-      if (error.message.includes('Failed to fetch metadata')) {
-        statusCode = 400; // Bad request - invalid URL or network issue
-      } else if (error.message.includes('Invalid metadata')) {
-        statusCode = 400; // Bad request - invalid JSON structure
-      } else if (error.message.includes('JSON')) {
-        statusCode = 400; // Bad request - malformed JSON
+      if (error.message.includes('Invalid transaction')) {
+        statusCode = 400; // Bad request - malformed or badly signed
+      } else if (error.message.includes('Unknown transaction')) {
+        statusCode = 404; // Not found - never issued, modified, or forgotten
+      } else if (error.message.includes('Out of order')) {
+        statusCode = 409; // Conflict - an earlier transaction has not landed yet
+      } else if (error.message.includes('Transaction expired')) {
+        statusCode = 410; // Gone - the blockhash expired, request new transactions
       }
     }
 
@@ -116,13 +1214,13 @@ app.post('/create-token', async (req, res) => {
       details: process.env.NODE_ENV === 'development' ? error instanceof Error ? error.stack : String(error) : undefined
     } as ErrorResponse);
   }
-});
+}));
 
-// Revoke token authorities endpoint
-app.post('/revoke-authorities', async (req, res) => {
+// Transfer token authorities endpoint
+app.post('/transfer-authorities', idempotentRequest, checkQuota(false), limitOperations(async (req, res) => {
   try {
     // Validate request body
-    const { mintAddress, revokeMintAuthority, revokeFreezeAuthority }: RevokeAuthoritiesRequest = req.body;
+    const { mintAddress, mintAuthority, freezeAuthority, metadataUpdateAuthority }: TransferAuthoritiesRequest = req.body;
 
     if (!mintAddress) {
       return res.status(400).json({
@@ -138,31 +1236,29 @@ app.post('/revoke-authorities', async (req, res) => {
       } as ErrorResponse);
     }
 
-    // Validate boolean parameters if provided
-    if (revokeMintAuthority !== undefined && typeof revokeMintAuthority !== 'boolean') {
-      return res.status(400).json({
-        success: false,
-        error: 'revokeMintAuthority must be a boolean'
-      } as ErrorResponse);
+    // Validate new authority addresses if provided
+    const newAuthorities = { mintAuthority, freezeAuthority, metadataUpdateAuthority };
+    for (const [name, value] of Object.entries(newAuthorities)) {
+      if (value !== undefined && (typeof value !== 'string' || !isValidPublicKey(value))) {
+        return res.status(400).json({
+          success: false,
+          error: `${name} must be a valid Solana public key`
+        } as ErrorResponse);
+      }
     }
 
-    if (revokeFreezeAuthority !== undefined && typeof revokeFreezeAuthority !== 'boolean') {
+    if (!mintAuthority && !freezeAuthority && !metadataUpdateAuthority) {
       return res.status(400).json({
         success: false,
-        error: 'revokeFreezeAuthority must be a boolean'
+        error: 'At least one of mintAuthority, freezeAuthority or metadataUpdateAuthority is required'
       } as ErrorResponse);
     }
 
-    // Default to revoking both authorities if not specified
-    const options = {
-      revokeMintAuthority: revokeMintAuthority ?? true,
-      revokeFreezeAuthority: revokeFreezeAuthority ?? true
-    };
-
-    console.log(`Revoking authorities for token: ${mintAddress}`, options);
+    console.log(`Transferring authorities for token: ${mintAddress}`, newAuthorities);
 
-    // Revoke the authorities
-    const result = await revokeTokenAuthorities(mintAddress, options);
+    // Transfer the authorities
+    const result = await transferTokenAuthorities(mintAddress, newAuthorities);
+    await recordApiKeyUsage(getApiKeyId(res), { signatures: result.signatures });
 
     if (result.success) {
       // Return success response
@@ -171,26 +1267,346 @@ app.post('/revoke-authorities', async (req, res) => {
         data: {
           mintAddress,
           signatures: result.signatures || [],
-          revoked: result.revoked || { mintAuthority: false, freezeAuthority: false },
-          message: 'Authority revocation completed'
+          transferred: result.transferred || { mintAuthority: false, freezeAuthority: false, metadataUpdateAuthority: false },
+          newAuthorities,
+          program: result.program,
+          message: 'Authority transfer completed'
         }
       });
     } else {
       res.status(500).json({
         success: false,
-        error: result.error || 'Failed to revoke authorities'
+        error: result.error || 'Failed to transfer authorities'
       } as ErrorResponse);
     }
 
   } catch (error) {
-    console.error('Error revoking authorities:', error);
+    console.error('Error transferring authorities:', error);
 
     res.status(500).json({
       success: false,
       error: error instanceof Error ? error.message : 'An unexpected error occurred'
     } as ErrorResponse);
   }
-});
+}));
+
+// Update token metadata endpoint (requires the service wallet to still hold update authority)
+app.post('/update-metadata', idempotentRequest, checkQuota(false), limitOperations(async (req, res) => {
+  try {
+    // Validate request body
+    const { mintAddress, metadataUrl, isMutable }: UpdateMetadataRequest = req.body;
+
+    if (!mintAddress || !metadataUrl) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required parameters: mintAddress and metadataUrl'
+      } as ErrorResponse);
+    }
+
+    if (typeof mintAddress !== 'string' || !isValidPublicKey(mintAddress)) {
+      return res.status(400).json({
+        success: false,
+        error: 'mintAddress must be a valid Solana public key'
+      } as ErrorResponse);
+    }
+
+    if (typeof metadataUrl !== 'string' || !isValidContentUri(metadataUrl)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid URL format. Use an http(s) URL, an ipfs:// or ar:// URI, or an IPFS CID'
+      } as ErrorResponse);
+    }
+
+    if (isMutable !== undefined && typeof isMutable !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        error: 'isMutable must be a boolean'
+      } as ErrorResponse);
+    }
+
+    console.log(`Updating metadata for token ${mintAddress} from: ${metadataUrl}`);
+
+    const result = await updateTokenMetadata(mintAddress, metadataUrl, { isMutable });
+    await recordApiKeyUsage(getApiKeyId(res), { signatures: result.signature ? [result.signature] : [] });
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Error updating metadata:', error);
+    if (isFetchFailure(error)) {
+      markRetryableFailure();
+    }
+
+    let errorMessage = 'An unexpected error occurred';
+    let statusCode = 500;
+
+    if (error instanceof Error) {
+      errorMessage = error.message;
+
+      // Categorize errors for appropriate status codes
+      if (error instanceof MetadataValidationError) {
+        statusCode = 422; // Unprocessable - metadata fetched but fails the schema or on-chain limits
+      } else if (error.message.includes('Failed to fetch metadata') || error.message.includes('JSON')) {
+        statusCode = 400; // Bad request - unusable metadata URL or content
+      } else if (error.message.includes('Not update authority') || error.message.includes('immutable')) {
+        statusCode = 403; // Forbidden - our wallet can no longer update this metadata
+      } else if (error.message.includes('Could not fetch')) {
+        statusCode = 404; // Not found - no such mint or metadata
+      }
+    }
+
+    res.status(statusCode).json({
+      success: false,
+      error: errorMessage,
+      details: process.env.NODE_ENV === 'development' ? error instanceof Error ? error.stack : String(error) : undefined,
+      issues: error instanceof MetadataValidationError ? error.issues : undefined,
+      code: error instanceof SafeFetchError ? error.code : undefined
+    } as ErrorResponse);
+  }
+}));
+
+// Mint additional tokens endpoint (requires the service wallet to still hold mint authority)
+app.post('/mint-tokens', idempotentRequest, checkQuota(false), limitOperations(async (req, res) => {
+  try {
+    // Validate request body
+    const { mintAddress, amount, recipient, multisigSigners }: MintTokensRequest = req.body;
+
+    if (!mintAddress || !amount || !recipient) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required parameters: mintAddress, amount and recipient'
+      } as ErrorResponse);
+    }
+
+    if (typeof mintAddress !== 'string' || !isValidPublicKey(mintAddress)) {
+      return res.status(400).json({
+        success: false,
+        error: 'mintAddress must be a valid Solana public key'
+      } as ErrorResponse);
+    }
+
+    if (typeof amount !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'amount must be a string (e.g. "1000.5")'
+      } as ErrorResponse);
+    }
+
+    if (typeof recipient !== 'string' || !isValidPublicKey(recipient)) {
+      return res.status(400).json({
+        success: false,
+        error: 'recipient must be a valid Solana public key'
+      } as ErrorResponse);
+    }
+
+    const multisigSignersError = validateMultisigSigners(multisigSigners);
+    if (multisigSignersError) {
+      return res.status(400).json({
+        success: false,
+        error: multisigSignersError
+      } as ErrorResponse);
+    }
+
+    console.log(`Minting ${amount} tokens of ${mintAddress} to ${recipient}`);
+
+    const result = await mintTokens(mintAddress, amount, recipient, multisigSigners);
+    await recordApiKeyUsage(getApiKeyId(res), { signatures: 'signature' in result ? [result.signature] : [] });
+
+    // 202 when multisig members still have to sign and /submit the transaction
+    res.status('pendingSignatures' in result ? 202 : 200).json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Error minting tokens:', error);
+
+    let errorMessage = 'An unexpected error occurred';
+    let statusCode = 500;
+
+    if (error instanceof Error) {
+      errorMessage = error.message;
+
+      // Categorize errors for appropriate status codes
+      if (error.message.includes('Invalid amount') || error.message.includes('Multisig signers required') || error.message.includes('Invalid multisig signers')) {
+        statusCode = 400; // Bad request - malformed or out-of-range amount, or missing multisig signers
+      } else if (error.message.includes('Not mint authority')) {
+        statusCode = 403; // Forbidden - our wallet cannot mint this token
+      } else if (error.message.includes('Could not fetch mint information')) {
+        statusCode = 404; // Not found - no such mint
+      }
+    }
+
+    res.status(statusCode).json({
+      success: false,
+      error: errorMessage,
+      details: process.env.NODE_ENV === 'development' ? error instanceof Error ? error.stack : String(error) : undefined
+    } as ErrorResponse);
+  }
+}));
+
+// Burn tokens endpoint
+app.post('/burn', idempotentRequest, checkQuota(false), limitOperations(async (req, res) => {
+  try {
+    // Validate request body
+    const { mintAddress, amount, closeAccount = false }: BurnTokensRequest = req.body;
+
+    if (!mintAddress || !amount) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required parameters: mintAddress and amount'
+      } as ErrorResponse);
+    }
+
+    if (typeof mintAddress !== 'string' || !isValidPublicKey(mintAddress)) {
+      return res.status(400).json({
+        success: false,
+        error: 'mintAddress must be a valid Solana public key'
+      } as ErrorResponse);
+    }
+
+    if (typeof amount !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'amount must be a string (e.g. "1000.5")'
+      } as ErrorResponse);
+    }
+
+    if (typeof closeAccount !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        error: 'closeAccount must be a boolean'
+      } as ErrorResponse);
+    }
+
+    console.log(`Burning ${amount} tokens of ${mintAddress}${closeAccount ? ' and closing the token account' : ''}`);
+
+    const result = await burnTokens(mintAddress, amount, closeAccount);
+    await recordApiKeyUsage(getApiKeyId(res), { signatures: [result.signature] });
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Error burning tokens:', error);
+
+    let errorMessage = 'An unexpected error occurred';
+    let statusCode = 500;
+
+    if (error instanceof Error) {
+      errorMessage = error.message;
+
+      // Categorize errors for appropriate status codes
+      if (error.message.includes('Invalid amount') || error.message.includes('Invalid burn')) {
+        statusCode = 400; // Bad request - malformed amount, more than the balance or a frozen account
+      } else if (error.message.includes('Could not fetch mint information') || error.message.includes('Token account not found')) {
+        statusCode = 404; // Not found - no such mint or the wallet holds none of it
+      }
+    }
+
+    res.status(statusCode).json({
+      success: false,
+      error: errorMessage,
+      details: process.env.NODE_ENV === 'development' ? error instanceof Error ? error.stack : String(error) : undefined
+    } as ErrorResponse);
+  }
+}));
+
+// Freeze or thaw token accounts; both routes take the same body
+const handleFreezeRequest = (action: FreezeAction) => async (req: express.Request, res: express.Response) => {
+  try {
+    // Validate request body
+    const { mintAddress, account, accounts }: FreezeAccountsRequest = req.body;
+
+    if (!mintAddress || (account === undefined && accounts === undefined)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required parameters: mintAddress and account (or accounts)'
+      } as ErrorResponse);
+    }
+
+    if (typeof mintAddress !== 'string' || !isValidPublicKey(mintAddress)) {
+      return res.status(400).json({
+        success: false,
+        error: 'mintAddress must be a valid Solana public key'
+      } as ErrorResponse);
+    }
+
+    if (account !== undefined && accounts !== undefined) {
+      return res.status(400).json({
+        success: false,
+        error: 'Provide either account or accounts, not both'
+      } as ErrorResponse);
+    }
+
+    const addresses = accounts ?? [account];
+    if (!Array.isArray(addresses) || addresses.length === 0 || addresses.length > MAX_FREEZE_ACCOUNTS) {
+      return res.status(400).json({
+        success: false,
+        error: `accounts must be an array of 1 to ${MAX_FREEZE_ACCOUNTS} addresses`
+      } as ErrorResponse);
+    }
+
+    const invalid = addresses.find((address) => typeof address !== 'string' || !isValidPublicKey(address));
+    if (invalid !== undefined) {
+      return res.status(400).json({
+        success: false,
+        error: `Each account must be a valid Solana public key (got ${JSON.stringify(invalid)})`
+      } as ErrorResponse);
+    }
+
+    console.log(`${action === 'freeze' ? 'Freezing' : 'Thawing'} ${addresses.length} account(s) of ${mintAddress}`);
+
+    const result = await setTokenAccountsFrozen(mintAddress, addresses as string[], action);
+    await recordApiKeyUsage(getApiKeyId(res), { signatures: result.signatures });
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    console.error(`Error trying to ${action} token accounts:`, error);
+    if (error instanceof PartialFreezeError) {
+      // Transactions that landed before the failure were still paid for
+      await recordApiKeyUsage(getApiKeyId(res), { signatures: error.result.signatures });
+    }
+
+    let errorMessage = 'An unexpected error occurred';
+    let statusCode = 500;
+
+    if (error instanceof Error) {
+      errorMessage = error.message;
+
+      // Categorize errors for appropriate status codes
+      if (error.message.includes('Invalid account')) {
+        statusCode = 400; // Bad request - token account belongs to another mint
+      } else if (error.message.includes('Not freeze authority')) {
+        statusCode = 403; // Forbidden - our wallet cannot freeze this token
+      } else if (error.message.includes('Could not fetch mint information') || error.message.includes('Token account not found')) {
+        statusCode = 404; // Not found - no such mint or token account
+      }
+    }
+
+    res.status(statusCode).json({
+      success: false,
+      error: errorMessage,
+      details: process.env.NODE_ENV === 'development' ? error instanceof Error ? error.stack : String(error) : undefined,
+      partial: error instanceof PartialFreezeError ? error.result : undefined
+    } as ErrorResponse);
+  }
+};
+
+// Freeze token accounts endpoint
+app.post('/freeze-account', idempotentRequest, checkQuota(false), limitOperations(handleFreezeRequest('freeze')));
+
+// Thaw token accounts endpoint
+app.post('/thaw-account', idempotentRequest, checkQuota(false), limitOperations(handleFreezeRequest('thaw')));
 
 // 404 handler
 app.use('*', (req, res) => {
@@ -213,11 +1629,45 @@ app.use((error: Error, req: express.Request, res: express.Response, next: expres
 // Start server
 app.listen(PORT, () => {
   console.log(`🚀 Solana Token Creation API server running on port ${PORT}`);
+  console.log(`🌐 Cluster: ${config.cluster} (${config.rpcUrl}, commitment: ${config.commitment})`);
+  console.log(`👛 Payer wallet: ${getPayerKeypair().publicKey.toString()}`);
   console.log(`📋 Health check: http://localhost:${PORT}/health`);
+  console.log(`🔍 Token info: GET http://localhost:${PORT}/token/:mintAddress`);
+  console.log(`🗃️  Created tokens: GET http://localhost:${PORT}/tokens`);
   console.log(`🪙 Create token: POST http://localhost:${PORT}/create-token`);
+  console.log(`🖼️  Create token with upload: POST http://localhost:${PORT}/create-token-with-upload (storage: ${config.storage.driver})`);
   console.log(`🔒 Revoke authorities: POST http://localhost:${PORT}/revoke-authorities`);
-  console.log(`📖 Example create token body: { "metadataUrl": "https://example.com/metadata.json" }`);
+  console.log(`📤 Submit signed transaction: POST http://localhost:${PORT}/submit`);
+  console.log(`📋 Job status: GET http://localhost:${PORT}/jobs/:id`);
+  console.log(`🔑 Transfer authorities: POST http://localhost:${PORT}/transfer-authorities`);
+  console.log(`📝 Update metadata: POST http://localhost:${PORT}/update-metadata`);
+  console.log(`🪙 Mint tokens: POST http://localhost:${PORT}/mint-tokens`);
+  console.log(`🔥 Burn tokens: POST http://localhost:${PORT}/burn`);
+  console.log(`🧊 Freeze accounts: POST http://localhost:${PORT}/freeze-account`);
+  console.log(`☀️  Thaw accounts: POST http://localhost:${PORT}/thaw-account`);
+  console.log(`🚦 Rate limits: ${config.rateLimit.perIp || 'unlimited'} requests per IP, ${config.rateLimit.perKey || 'unlimited'} per API key every ${config.rateLimit.windowMs / 1000}s; ${config.rateLimit.maxInFlight} on-chain operations at once (${config.rateLimit.maxQueued} queued)`);
+  console.log(`📖 Example create token body: { "metadataUrl": "https://example.com/metadata.json", "decimals": 6, "initialSupply": "1000000" }`);
   console.log(`📖 Example revoke authorities body: { "mintAddress": "YourMintAddressHere", "revokeMintAuthority": true, "revokeFreezeAuthority": true }`);
+
+  // Resume jobs that were queued or running when the server last stopped
+  registerTokenJobHandlers();
+  startJobWorker()
+    .then((resumed) => {
+      console.log(`🗂️  Job worker started (data: ${config.dataDir})${resumed > 0 ? `, resuming ${resumed} unfinished job(s)` : ''}`);
+    })
+    .catch((error) => {
+      console.error('Failed to start job worker:', error);
+    });
+
+  pruneIdempotencyRecords()
+    .then((pruned) => {
+      if (pruned > 0) {
+        console.log(`🧹 Removed ${pruned} expired idempotency key(s)`);
+      }
+    })
+    .catch((error) => {
+      console.error('Failed to prune idempotency keys:', error);
+    });
 });
 
 export default app;
@@ -0,0 +1,103 @@
+import {
+  createBurnCheckedInstruction,
+  createCloseAccountInstruction,
+  getAssociatedTokenAddressSync
+} from '@solana/spl-token'
+import {
+  Transaction,
+  sendAndConfirmTransaction
+} from '@solana/web3.js'
+import { getExplorerUrl } from './config'
+import { getParsedMint } from './mint-account'
+import { getConnection, getPayerKeypair } from './solana'
+import { formatTokenAmount, parseTokenAmount } from './token-amount'
+import { TokenProgram } from './token-2022'
+import { recordTokenTransactions } from './token-registry'
+
+// Token burn result interface
+export interface BurnTokensResult {
+  mintAddress: string;
+  tokenAccount: string; // The service wallet's associated token account
+  amount: string; // Decimal amount burned
+  decimals: number;
+  balance: string; // Decimal balance left in the token account
+  supply: string; // Decimal total supply after burning
+  accountClosed: boolean;
+  signature: string;
+  explorerUrl: string;
+  program: TokenProgram;
+}
+
+// Burn tokens held by our wallet, optionally closing the emptied token account to reclaim its rent
+export const burnTokens = async (
+  mintAddress: string,
+  amount: string,
+  closeAccount: boolean = false
+): Promise<BurnTokensResult> => {
+  try {
+    const connection = getConnection();
+    const web3Keypair = getPayerKeypair();
+    const owner = web3Keypair.publicKey;
+
+    const { address: mint, programId, program, info: mintData } = await getParsedMint(connection, mintAddress);
+
+    const baseUnits = parseTokenAmount(amount, mintData.decimals);
+    if (baseUnits === 0n) {
+      throw new Error('Invalid amount: must be greater than zero');
+    }
+
+    // Burn from the wallet's associated token account
+    const tokenAccount = getAssociatedTokenAddressSync(mint, owner, false, programId);
+    const accountInfo = await connection.getParsedAccountInfo(tokenAccount);
+    const data = accountInfo.value?.data;
+    if (!data || typeof data !== 'object' || !('parsed' in data) || data.parsed.type !== 'account') {
+      throw new Error(`Token account not found: the service wallet holds no ${mintAddress} tokens`);
+    }
+
+    const { state, tokenAmount } = data.parsed.info;
+    if (state === 'frozen') {
+      throw new Error('Invalid burn: the service wallet token account is frozen');
+    }
+
+    const held = BigInt(tokenAmount.amount);
+    if (baseUnits > held) {
+      throw new Error(`Invalid amount: the service wallet only holds ${formatTokenAmount(held, mintData.decimals)} tokens`);
+    }
+    const remaining = held - baseUnits;
+    if (closeAccount && remaining > 0n) {
+      throw new Error(`Invalid burn: closeAccount requires burning the whole balance (${formatTokenAmount(held, mintData.decimals)} tokens)`);
+    }
+
+    const transaction = new Transaction().add(
+      createBurnCheckedInstruction(tokenAccount, mint, owner, baseUnits, mintData.decimals, [], programId)
+    );
+    if (closeAccount) {
+      // Rent goes back to the wallet that paid for the account
+      transaction.add(createCloseAccountInstruction(tokenAccount, owner, owner, [], programId));
+    }
+
+    console.log(`🔥 Burning ${formatTokenAmount(baseUnits, mintData.decimals)} tokens of ${mint.toString()}${closeAccount ? ' and closing the token account' : ''}...`);
+    const signature = await sendAndConfirmTransaction(connection, transaction, [web3Keypair]);
+    console.log('✅ Tokens burned successfully!');
+    console.log('📝 Transaction signature:', signature);
+    await recordTokenTransactions(mint.toString(), 'burnTokens', [signature]);
+
+    const supply = await connection.getTokenSupply(mint);
+
+    return {
+      mintAddress: mint.toString(),
+      tokenAccount: tokenAccount.toString(),
+      amount: formatTokenAmount(baseUnits, mintData.decimals),
+      decimals: mintData.decimals,
+      balance: formatTokenAmount(remaining, mintData.decimals),
+      supply: formatTokenAmount(BigInt(supply.value.amount), mintData.decimals),
+      accountClosed: closeAccount,
+      signature,
+      explorerUrl: getExplorerUrl('tx', signature),
+      program
+    };
+  } catch (error) {
+    console.error('Error burning tokens:', error);
+    throw error;
+  }
+};
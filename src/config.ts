@@ -0,0 +1,301 @@
+import { clusterApiUrl, Commitment, Keypair } from '@solana/web3.js'
+import fs from 'fs'
+import path from 'path'
+
+// Supported Solana clusters
+export type SolanaCluster = 'localnet' | 'devnet' | 'testnet' | 'mainnet-beta';
+
+// Storage drivers for uploaded images and metadata JSON
+export type StorageDriverName = 'irys' | 'local';
+
+// Storage configuration
+export interface StorageConfig {
+  driver: StorageDriverName;
+  localDir: string; // Where the local driver writes files
+  publicUrl: string; // Base URL the local directory is served from
+  irysAddress: string; // Irys node used by the irys driver
+}
+
+// Limits for fetching user-supplied URLs (metadata JSON and images)
+export interface FetchConfig {
+  timeoutMs: number; // Whole request, including redirects and reading the body
+  maxBytes: number; // Largest metadata JSON accepted
+  maxRedirects: number;
+  allowPrivateAddresses: boolean; // Allow loopback/private destinations (local development only)
+}
+
+// Ordered HTTP gateways for content-addressed URIs (tried in turn until one answers)
+export interface GatewayConfig {
+  ipfs: string[];
+  arweave: string[];
+}
+
+// API access control
+export interface AuthConfig {
+  requireApiKey: boolean; // Reject requests without a valid API key (off by default on localnet only)
+}
+
+// Request rate limits and the cap on on-chain operations running at once
+export interface RateLimitConfig {
+  windowMs: number;
+  perIp: number; // Requests per window from one client IP (0 = no limit)
+  perKey: number; // Requests per window with one API key (0 = no limit)
+  maxInFlight: number; // On-chain operations running at once; the service wallet pays for all of them
+  maxQueued: number; // Operations waiting for a slot before new ones are refused
+  queueTimeoutMs: number; // Longest an operation waits for a slot
+  trustProxy: boolean; // Take the client IP from X-Forwarded-For (only behind a reverse proxy)
+}
+
+// Service configuration interface
+export interface ServiceConfig {
+  cluster: SolanaCluster;
+  rpcUrl: string;
+  wsUrl?: string;
+  commitment: Commitment;
+  payerKeypairPath: string;
+  dataDir: string; // Where jobs and other service state are persisted
+  storage: StorageConfig;
+  fetch: FetchConfig;
+  gateways: GatewayConfig;
+  auth: AuthConfig;
+  rateLimit: RateLimitConfig;
+}
+
+// Shape of the optional JSON config file (every field is optional)
+type ConfigFile = Partial<Omit<ServiceConfig, 'storage' | 'fetch' | 'gateways' | 'auth' | 'rateLimit'>> & {
+  storage?: Partial<StorageConfig>;
+  fetch?: Partial<FetchConfig>;
+  gateways?: Partial<GatewayConfig>;
+  auth?: Partial<AuthConfig>;
+  rateLimit?: Partial<RateLimitConfig>;
+};
+
+const CLUSTERS: SolanaCluster[] = ['localnet', 'devnet', 'testnet', 'mainnet-beta'];
+const COMMITMENTS: Commitment[] = ['processed', 'confirmed', 'finalized'];
+const STORAGE_DRIVERS: StorageDriverName[] = ['irys', 'local'];
+
+const DEFAULT_CONFIG_FILE = './solana.config.json';
+const DEFAULT_PAYER_KEYPAIR_PATH = './sM1hvmgLNhyjEGphU67RpcKBACghwoo3NUPGMvUbEF7.json';
+const LOCALNET_RPC_URL = 'http://127.0.0.1:8899';
+const LOCALNET_WS_URL = 'ws://127.0.0.1:8900';
+const DEFAULT_IPFS_GATEWAYS = ['https://ipfs.io', 'https://dweb.link', 'https://gateway.pinata.cloud'];
+const DEFAULT_ARWEAVE_GATEWAYS = ['https://arweave.net', 'https://ar-io.net'];
+
+let currentConfig: ServiceConfig | null = null;
+
+// Read the optional config file. An explicitly named file must exist, the default one may not.
+const readConfigFile = (): ConfigFile => {
+  const explicitPath = process.env.SOLANA_CONFIG_FILE;
+  const configPath = path.resolve(explicitPath || DEFAULT_CONFIG_FILE);
+
+  if (!fs.existsSync(configPath)) {
+    if (explicitPath) {
+      throw new Error(`Invalid configuration: config file not found at ${configPath}`);
+    }
+    return {};
+  }
+
+  try {
+    const parsed = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    if (typeof parsed !== 'object' || parsed === null || Array.isArray(parsed)) {
+      throw new Error('expected a JSON object');
+    }
+    return parsed;
+  } catch (error) {
+    throw new Error(`Invalid configuration: could not parse ${configPath} (${error instanceof Error ? error.message : String(error)})`);
+  }
+};
+
+// Default RPC endpoint for a cluster
+const defaultRpcUrl = (cluster: SolanaCluster): string => {
+  return cluster === 'localnet' ? LOCALNET_RPC_URL : clusterApiUrl(cluster);
+};
+
+// Check that a URL parses and uses one of the allowed protocols
+const hasProtocol = (urlString: string, protocols: string[]): boolean => {
+  try {
+    return protocols.includes(new URL(urlString).protocol);
+  } catch {
+    return false;
+  }
+};
+
+// Host names that only ever reach this machine
+const isLocalHost = (hostname: string): boolean => {
+  return hostname === 'localhost' || hostname.endsWith('.localhost') || /^127\./.test(hostname) || hostname === '[::1]';
+};
+
+// Read a non-negative integer setting from an env var or the config file
+const readInteger = (envValue: string | undefined, fileValue: number | undefined, fallback: number): number => {
+  return envValue !== undefined && envValue !== '' ? Number(envValue) : fileValue ?? fallback;
+};
+
+// Read a list setting from a comma-separated env var or a config file array
+const readList = (envValue: string | undefined, fileValue: string[] | undefined, fallback: string[]): string[] => {
+  const list = envValue ? envValue.split(',') : fileValue ?? fallback;
+  return list.map((entry) => entry.trim().replace(/\/+$/, '')).filter((entry) => entry !== '');
+};
+
+// Check that the payer keypair file exists and holds a 64-byte secret key
+const validateKeypairFile = (keypairPath: string): string | null => {
+  if (!fs.existsSync(keypairPath)) {
+    return `payerKeypairPath: file not found at ${keypairPath}`;
+  }
+  try {
+    const secretKey = JSON.parse(fs.readFileSync(keypairPath, 'utf8'));
+    Keypair.fromSecretKey(new Uint8Array(secretKey));
+    return null;
+  } catch {
+    return `payerKeypairPath: ${keypairPath} is not a valid Solana keypair file`;
+  }
+};
+
+// Load, merge (env vars override the config file) and validate the configuration
+export const loadConfig = (): ServiceConfig => {
+  const file = readConfigFile();
+  const env = process.env;
+  const errors: string[] = [];
+
+  const cluster = (env.SOLANA_CLUSTER || file.cluster || 'devnet') as SolanaCluster;
+  if (!CLUSTERS.includes(cluster)) {
+    errors.push(`cluster: must be one of ${CLUSTERS.join(', ')} (got "${cluster}")`);
+  }
+
+  const rpcUrl = env.SOLANA_RPC_URL || file.rpcUrl || (CLUSTERS.includes(cluster) ? defaultRpcUrl(cluster) : '');
+  if (rpcUrl && !hasProtocol(rpcUrl, ['http:', 'https:'])) {
+    errors.push(`rpcUrl: must be an http(s) URL (got "${rpcUrl}")`);
+  }
+
+  // Local validators serve websockets on RPC port + 1, which web3.js does not derive for us
+  const wsUrl = env.SOLANA_WS_URL || file.wsUrl || (cluster === 'localnet' && rpcUrl === LOCALNET_RPC_URL ? LOCALNET_WS_URL : undefined);
+  if (wsUrl !== undefined && !hasProtocol(wsUrl, ['ws:', 'wss:'])) {
+    errors.push(`wsUrl: must be a ws(s) URL (got "${wsUrl}")`);
+  }
+
+  const commitment = (env.SOLANA_COMMITMENT || file.commitment || 'confirmed') as Commitment;
+  if (!COMMITMENTS.includes(commitment)) {
+    errors.push(`commitment: must be one of ${COMMITMENTS.join(', ')} (got "${commitment}")`);
+  }
+
+  const payerKeypairPath = path.resolve(env.SOLANA_PAYER_KEYPAIR || file.payerKeypairPath || DEFAULT_PAYER_KEYPAIR_PATH);
+  const keypairError = validateKeypairFile(payerKeypairPath);
+  if (keypairError) {
+    errors.push(keypairError);
+  }
+
+  const dataDir = path.resolve(env.DATA_DIR || file.dataDir || './data');
+
+  // Irys cannot be funded from a local validator, so localnet stores files locally by default
+  const fileStorage = file.storage ?? {};
+  const storage: StorageConfig = {
+    driver: (env.STORAGE_DRIVER || fileStorage.driver || (cluster === 'localnet' ? 'local' : 'irys')) as StorageDriverName,
+    localDir: path.resolve(env.STORAGE_LOCAL_DIR || fileStorage.localDir || './uploads'),
+    publicUrl: (env.STORAGE_PUBLIC_URL || fileStorage.publicUrl || `http://localhost:${env.PORT || 3000}/uploads`).replace(/\/+$/, ''),
+    irysAddress: env.IRYS_ADDRESS || fileStorage.irysAddress || (cluster === 'mainnet-beta' ? 'https://node1.irys.xyz' : 'https://devnet.irys.xyz'),
+  };
+  if (!STORAGE_DRIVERS.includes(storage.driver)) {
+    errors.push(`storage.driver: must be one of ${STORAGE_DRIVERS.join(', ')} (got "${storage.driver}")`);
+  }
+  if (!hasProtocol(storage.publicUrl, ['http:', 'https:'])) {
+    errors.push(`storage.publicUrl: must be an http(s) URL (got "${storage.publicUrl}")`);
+  }
+  if (!hasProtocol(storage.irysAddress, ['http:', 'https:'])) {
+    errors.push(`storage.irysAddress: must be an http(s) URL (got "${storage.irysAddress}")`);
+  }
+
+  // Metadata and image URLs come from API callers, so only public destinations are fetched unless running locally
+  const fileFetch = file.fetch ?? {};
+  const allowPrivate = env.FETCH_ALLOW_PRIVATE_ADDRESSES;
+  const fetchConfig: FetchConfig = {
+    timeoutMs: readInteger(env.FETCH_TIMEOUT_MS, fileFetch.timeoutMs, 10000),
+    maxBytes: readInteger(env.FETCH_MAX_BYTES, fileFetch.maxBytes, 1024 * 1024),
+    maxRedirects: readInteger(env.FETCH_MAX_REDIRECTS, fileFetch.maxRedirects, 3),
+    allowPrivateAddresses: allowPrivate !== undefined && allowPrivate !== ''
+      ? allowPrivate === 'true'
+      : fileFetch.allowPrivateAddresses ?? cluster === 'localnet',
+  };
+  for (const key of ['timeoutMs', 'maxBytes', 'maxRedirects'] as const) {
+    const minimum = key === 'maxRedirects' ? 0 : 1;
+    if (!Number.isInteger(fetchConfig[key]) || fetchConfig[key] < minimum) {
+      errors.push(`fetch.${key}: must be an integer of at least ${minimum} (got "${fetchConfig[key]}")`);
+    }
+  }
+
+  // Files from the local driver are fetched back (by this service and by wallets) through publicUrl, which the
+  // localhost default cannot serve once private destinations are blocked
+  if (storage.driver === 'local' && !fetchConfig.allowPrivateAddresses) {
+    if (!env.STORAGE_PUBLIC_URL && !fileStorage.publicUrl) {
+      errors.push('storage.publicUrl: must be set to a public URL when the local storage driver is used off localnet');
+    } else if (hasProtocol(storage.publicUrl, ['http:', 'https:']) && isLocalHost(new URL(storage.publicUrl).hostname)) {
+      errors.push(`storage.publicUrl: must be a public URL when the local storage driver is used off localnet (got "${storage.publicUrl}")`);
+    }
+  }
+
+  const fileGateways = file.gateways ?? {};
+  const gateways: GatewayConfig = {
+    ipfs: readList(env.IPFS_GATEWAYS, fileGateways.ipfs, DEFAULT_IPFS_GATEWAYS),
+    arweave: readList(env.ARWEAVE_GATEWAYS, fileGateways.arweave, DEFAULT_ARWEAVE_GATEWAYS),
+  };
+  for (const key of ['ipfs', 'arweave'] as const) {
+    if (gateways[key].length === 0) {
+      errors.push(`gateways.${key}: must list at least one gateway`);
+    }
+    for (const gateway of gateways[key].filter((entry) => !hasProtocol(entry, ['http:', 'https:']))) {
+      errors.push(`gateways.${key}: must be http(s) URLs (got "${gateway}")`);
+    }
+  }
+
+  // Every request spends the service wallet's SOL, so keys are required unless running locally
+  const requireApiKey = env.API_KEYS_REQUIRED;
+  const auth: AuthConfig = {
+    requireApiKey: requireApiKey !== undefined && requireApiKey !== ''
+      ? requireApiKey === 'true'
+      : file.auth?.requireApiKey ?? cluster !== 'localnet',
+  };
+
+  const fileRateLimit = file.rateLimit ?? {};
+  const trustProxy = env.TRUST_PROXY;
+  const rateLimit: RateLimitConfig = {
+    windowMs: readInteger(env.RATE_LIMIT_WINDOW_MS, fileRateLimit.windowMs, 60000),
+    perIp: readInteger(env.RATE_LIMIT_PER_IP, fileRateLimit.perIp, 120),
+    perKey: readInteger(env.RATE_LIMIT_PER_KEY, fileRateLimit.perKey, 60),
+    maxInFlight: readInteger(env.MAX_IN_FLIGHT_OPERATIONS, fileRateLimit.maxInFlight, 4),
+    maxQueued: readInteger(env.MAX_QUEUED_OPERATIONS, fileRateLimit.maxQueued, 20),
+    queueTimeoutMs: readInteger(env.OPERATION_QUEUE_TIMEOUT_MS, fileRateLimit.queueTimeoutMs, 30000),
+    trustProxy: trustProxy !== undefined && trustProxy !== ''
+      ? trustProxy === 'true'
+      : fileRateLimit.trustProxy ?? false,
+  };
+  for (const key of ['windowMs', 'perIp', 'perKey', 'maxInFlight', 'maxQueued', 'queueTimeoutMs'] as const) {
+    const minimum = key === 'perIp' || key === 'perKey' || key === 'maxQueued' ? 0 : 1;
+    if (!Number.isInteger(rateLimit[key]) || rateLimit[key] < minimum) {
+      errors.push(`rateLimit.${key}: must be an integer of at least ${minimum} (got "${rateLimit[key]}")`);
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid configuration:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  currentConfig = { cluster, rpcUrl, wsUrl, commitment, payerKeypairPath, dataDir, storage, fetch: fetchConfig, gateways, auth, rateLimit };
+  return currentConfig;
+};
+
+// Get the active configuration, loading it on first use (e.g. when running scripts directly)
+export const getConfig = (): ServiceConfig => {
+  return currentConfig ?? loadConfig();
+};
+
+// Build a Solana Explorer link for the configured cluster
+export const getExplorerUrl = (kind: 'address' | 'tx', value: string): string => {
+  const { cluster, rpcUrl } = getConfig();
+  const base = `https://explorer.solana.com/${kind}/${value}`;
+
+  if (cluster === 'mainnet-beta') {
+    return base;
+  }
+  if (cluster === 'localnet') {
+    return `${base}?cluster=custom&customUrl=${encodeURIComponent(rpcUrl)}`;
+  }
+  return `${base}?cluster=${cluster}`;
+};
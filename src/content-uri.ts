@@ -0,0 +1,118 @@
+import { getConfig } from './config'
+import { SafeFetchError } from './safe-fetch'
+
+// Where a metadata or image URI lives
+export type ContentUriKind = 'http' | 'ipfs' | 'arweave';
+
+// A parsed URI: http(s) URLs as given, IPFS and Arweave content in canonical ipfs:// / ar:// form
+export interface ContentUri {
+  kind: ContentUriKind;
+  uri: string; // Canonical form, e.g. ipfs://<cid>/metadata.json
+  id: string; // CID or Arweave transaction id (empty for http)
+  path: string; // Path within the content, starting with "/" (or empty)
+}
+
+// CIDv0 (base58 "Qm...") and CIDv1 (base32 "b..." or base36 "k...")
+const CID_PATTERN = /^(Qm[1-9A-HJ-NP-Za-km-z]{44}|b[a-z2-7]{58,}|k[0-9a-z]{50,})$/;
+// Arweave transaction ids are 43 base64url characters
+const ARWEAVE_ID_PATTERN = /^[A-Za-z0-9_-]{43}$/;
+
+// Split "<id>/<path>" and check the id
+const splitContentPath = (rest: string, pattern: RegExp, label: string): { id: string; path: string } => {
+  const [, id = '', path = ''] = rest.match(/^([^/?#]*)(.*)$/) ?? [];
+  if (!pattern.test(id)) {
+    throw new Error(`Invalid URI: "${id}" is not a valid ${label}`);
+  }
+  return { id, path };
+};
+
+// Parse an http(s) URL, ipfs:// or ar:// URI, or a bare IPFS CID (optionally followed by a path)
+export const parseContentUri = (input: string): ContentUri => {
+  const value = input.trim();
+
+  const ipfs = value.match(/^ipfs:\/\/(?:ipfs\/)?(.+)$/i);
+  if (ipfs) {
+    const { id, path } = splitContentPath(ipfs[1], CID_PATTERN, 'IPFS CID');
+    return { kind: 'ipfs', uri: `ipfs://${id}${path}`, id, path };
+  }
+
+  const arweave = value.match(/^ar:\/\/(.+)$/i);
+  if (arweave) {
+    const { id, path } = splitContentPath(arweave[1], ARWEAVE_ID_PATTERN, 'Arweave transaction id');
+    return { kind: 'arweave', uri: `ar://${id}${path}`, id, path };
+  }
+
+  if (CID_PATTERN.test(value.split('/')[0])) {
+    const { id, path } = splitContentPath(value, CID_PATTERN, 'IPFS CID');
+    return { kind: 'ipfs', uri: `ipfs://${id}${path}`, id, path };
+  }
+
+  try {
+    const url = new URL(value);
+    if (url.protocol === 'http:' || url.protocol === 'https:') {
+      return { kind: 'http', uri: value, id: '', path: '' };
+    }
+  } catch {
+    // Fall through to the error below
+  }
+  throw new Error('Invalid URI: expected an http(s) URL, an ipfs:// or ar:// URI, or an IPFS CID');
+};
+
+// True when the input can be parsed as a content URI
+export const isValidContentUri = (input: string): boolean => {
+  try {
+    parseContentUri(input);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// HTTP URL for content on a given gateway (http URIs are returned unchanged)
+export const toGatewayUrl = (content: ContentUri, gateway: string): string => {
+  const base = gateway.replace(/\/+$/, '');
+  if (content.kind === 'ipfs') {
+    return `${base}/ipfs/${content.id}${content.path}`;
+  }
+  if (content.kind === 'arweave') {
+    return `${base}/${content.id}${content.path}`;
+  }
+  return content.uri;
+};
+
+// Every URL the content can be fetched from, in the configured gateway order
+export const getGatewayUrls = (content: ContentUri): string[] => {
+  const { gateways } = getConfig();
+  if (content.kind === 'ipfs') {
+    return gateways.ipfs.map((gateway) => toGatewayUrl(content, gateway));
+  }
+  if (content.kind === 'arweave') {
+    return gateways.arweave.map((gateway) => toGatewayUrl(content, gateway));
+  }
+  return [content.uri];
+};
+
+// Fetch content through each gateway in turn, falling back to the next one when a fetch fails
+export const fetchFromGateways = async <T>(
+  input: string,
+  fetcher: (url: string) => Promise<T>
+): Promise<{ result: T; url: string }> => {
+  const urls = getGatewayUrls(parseContentUri(input));
+
+  let lastError: unknown;
+  for (const url of urls) {
+    try {
+      return { result: await fetcher(url), url };
+    } catch (error) {
+      // Only fetch failures are worth retrying elsewhere; content problems would repeat on every gateway
+      if (!(error instanceof SafeFetchError) || error.code === 'INVALID_CONTENT_TYPE' || error.code === 'INVALID_JSON') {
+        throw error;
+      }
+      if (urls.length > 1) {
+        console.log(`⚠️  ${error.message}, trying the next gateway...`);
+      }
+      lastError = error;
+    }
+  }
+  throw lastError;
+};
@@ -1,30 +1,71 @@
 import {
   createV1,
-  mplTokenMetadata,
+  mintV1,
   TokenStandard,
 } from '@metaplex-foundation/mpl-token-metadata'
 import {
-  createMint,
+  createInitializeMint2Instruction,
+  getAssociatedTokenAddressSync,
+  getMinimumBalanceForRentExemptMint,
+  MINT_SIZE,
+  TOKEN_PROGRAM_ID,
 } from '@solana/spl-token'
 import {
-  keypairIdentity,
-  percentAmount,
-  createSignerFromKeypair,
+  createAmount,
+  createNoopSigner,
+  none,
+  publicKey,
+  Signer,
+  some,
+  Umi,
 } from '@metaplex-foundation/umi'
-import { createUmi } from '@metaplex-foundation/umi-bundle-defaults'
+import { toWeb3JsInstruction } from '@metaplex-foundation/umi-web3js-adapters'
 import {
   AuthorityType,
   createSetAuthorityInstruction
 } from '@solana/spl-token'
+import crypto from 'crypto'
 import {
   Connection,
   Keypair,
+  SystemProgram,
   Transaction,
+  TransactionInstruction,
   sendAndConfirmTransaction,
   PublicKey
 } from '@solana/web3.js'
-import fetch from 'node-fetch'
-import fs from 'fs'
+import { getExplorerUrl } from './config'
+import { recordApiKeyUsage } from './api-keys'
+import { getConnection, getPayerKeypair, getUmi } from './solana'
+import { fetchFromGateways, parseContentUri, toGatewayUrl } from './content-uri'
+import { ImageInfo, verifyTokenImage } from './image-verification'
+import { assertValidMetadata } from './metadata-validation'
+import { getParsedMint } from './mint-account'
+import { buildMintToInstructions } from './mint-instructions'
+import {
+  AuthoritySigner,
+  buildCreateMultisigInstructions,
+  getMultisig,
+  MultisigInfo,
+  MultisigOptions,
+  PendingSignatures,
+  resolveAuthoritySigner,
+  sendOrCollectSignatures,
+} from './multisig'
+import { safeFetchJson } from './safe-fetch'
+import { recordTokenTransactions, registerCreatedToken } from './token-registry'
+import { formatTokenAmount, parseTokenAmount } from './token-amount'
+import { issueTransactions, PreparedTransactions, TransactionStep } from './unsigned-transactions'
+import {
+  buildCreateToken2022MintInstructions,
+  buildToken2022AuthorityInstruction,
+  getToken2022Authorities,
+  getTokenProgramId,
+  Token2022AuthorityKind,
+  Token2022Extensions,
+  TOKEN_2022_AUTHORITY_KINDS,
+  TokenProgram,
+} from './token-2022'
 
 // Token metadata interface
 export interface TokenMetadata {
@@ -42,125 +83,582 @@ export interface TokenMetadata {
   discord?: string;
 }
 
+// Metaplex token standards that can be created (classic SPL program only)
+export type MetaplexTokenStandard = 'Fungible' | 'FungibleAsset' | 'NonFungible' | 'ProgrammableNonFungible';
+export const METAPLEX_TOKEN_STANDARDS: MetaplexTokenStandard[] = ['Fungible', 'FungibleAsset', 'NonFungible', 'ProgrammableNonFungible'];
+
+// NFT standards: one token, zero decimals, and the master edition holds the mint and freeze authorities
+export const isNonFungibleStandard = (standard: MetaplexTokenStandard): boolean => {
+  return standard === 'NonFungible' || standard === 'ProgrammableNonFungible';
+};
+
+// A royalty recipient and its percentage share of royalties
+export interface CreatorShare {
+  address: string;
+  share: number; // Percent; shares across creators add up to 100
+}
+
+// Steps of token creation that each send a transaction ('createToken' is the single atomic transaction)
+export type CreationStep = 'createMint' | 'createMetadata' | 'mintTo' | 'setAuthorities' | 'revokeAuthorities' | 'createToken';
+
+// A confirmed transaction and the slot it landed in
+export interface TransactionRecord {
+  signature: string;
+  slot: number | null;
+  explorerUrl: string;
+}
+
 // Token creation result interface
 export interface TokenCreationResult {
   mintAddress: string;
-  transactionSignature: string;
+  metadataUri: string; // URI written on-chain
+  transactionSignature: string; // Signature of the mint creation (or atomic) transaction
+  signatures: Partial<Record<CreationStep, TransactionRecord>>;
   explorerUrl: string;
   mintSignerSecretKey?: number[]; // Add the mint signer secret key for authority operations
+  decimals: number;
+  initialSupply: string; // Decimal amount minted at creation ("0" when nothing was minted)
+  associatedTokenAddress?: string; // Recipient's token account holding the initial supply
+  mintToSignature?: string;
+  revoked: { mintAuthority: boolean; freezeAuthority: boolean }; // Authorities revoked during creation
+  atomic: boolean; // Whether all steps ran in one all-or-nothing transaction
+  program: TokenProgram;
+  tokenStandard?: MetaplexTokenStandard; // Classic SPL tokens only
+  metadataSha256: string; // SHA-256 of the metadata JSON the token was created from
+  image?: ImageInfo; // Verified metadata image (omitted when skipImageCheck is set)
+  multisig?: MultisigInfo; // Multisig holding the mint and freeze authorities
+}
+
+// Options for token creation
+export interface CreateTokenOptions {
+  decimals?: number;
+  initialSupply?: string; // Decimal amount, kept as a string so large supplies stay exact
+  recipient?: string; // Owner of the initial supply (defaults to the service wallet)
+  atomic?: boolean; // Send every step in one transaction so creation is all-or-nothing
+  revokeMintAuthority?: boolean; // Revoke as part of creation (defaults to false)
+  revokeFreezeAuthority?: boolean;
+  program?: TokenProgram; // 'token-2022' stores metadata on the mint instead of a Metaplex account
+  extensions?: Token2022Extensions; // Token-2022 only
+  skipImageCheck?: boolean; // Don't fetch and verify the metadata image before creating
+  expectedSha256?: string; // Reject the metadata unless its JSON has this SHA-256 (hex)
+  onChainGateway?: string; // Write this gateway's URL on-chain instead of the ipfs:// / ar:// URI
+  // Metaplex options (classic SPL program only)
+  tokenStandard?: MetaplexTokenStandard; // Defaults to 'Fungible'
+  sellerFeeBasisPoints?: number; // Royalties, 0-10000
+  creators?: CreatorShare[];
+  collection?: string; // Collection mint, added unverified
+  isMutable?: boolean; // Defaults to true
+  multisig?: MultisigOptions; // Hand the mint and freeze authorities to an existing or new SPL multisig
+  apiKeyId?: string; // API key the token is attributed to (set by the server, never from the request)
 }
   
-// Validate metadata has required fields
-const validateMetadata = (metadata: any): metadata is TokenMetadata => {
-  return (
-    typeof metadata === 'object' &&
-    typeof metadata.name === 'string' &&
-    typeof metadata.symbol === 'string' &&
-    typeof metadata.description === 'string' &&
-    typeof metadata.image === 'string' &&
-    metadata.name.trim() !== '' &&
-    metadata.symbol.trim() !== '' &&
-    metadata.description.trim() !== '' &&
-    metadata.image.trim() !== ''
+// Metadata JSON as fetched, with the SHA-256 of the exact bytes served
+export interface FetchedMetadata {
+  metadata: TokenMetadata;
+  sha256: string;
+}
+
+// Options for fetching metadata
+export interface FetchMetadataOptions {
+  expectedSha256?: string; // Reject the metadata unless its JSON has this SHA-256 (hex)
+  onChainUri?: string; // URI that will be written on-chain, if not the canonical one
+}
+
+// Fetch metadata JSON (over http(s), or IPFS/Arweave gateways) and check it against the metadata schema
+// and on-chain limits, optionally pinning it to an expected SHA-256 so the approved content is the content used
+export const fetchTokenMetadata = async (metadataUri: string, options: FetchMetadataOptions = {}): Promise<FetchedMetadata> => {
+  const content = parseContentUri(metadataUri);
+  console.log("Fetching metadata from:", content.uri);
+  const { result: { json: metadata, body } } = await fetchFromGateways(content.uri, (url) =>
+    safeFetchJson(url, { label: 'metadata', allowTextPlain: content.kind === 'ipfs' })
   );
+
+  const sha256 = crypto.createHash('sha256').update(body).digest('hex');
+  console.log('Metadata SHA-256:', sha256);
+  if (options.expectedSha256 && sha256 !== options.expectedSha256.toLowerCase()) {
+    throw new Error(`Metadata hash mismatch: expected ${options.expectedSha256.toLowerCase()}, got ${sha256}`);
+  }
+
+  assertValidMetadata(metadata, { uri: options.onChainUri ?? content.uri });
+  return { metadata, sha256 };
 };
 
-// Main token creation function
-export const createTokenFromMetadataUrl = async (metadataUrl: string): Promise<TokenCreationResult> => {
-  try {
-    // Create web3.js connection and keypair
-    const connection = new Connection('https://devnet.helius-rpc.com/?api-key=e3996982-5073-4b8b-942d-1d774b777012', 'confirmed');
-    const walletFile = JSON.parse(fs.readFileSync('./sM1hvmgLNhyjEGphU67RpcKBACghwoo3NUPGMvUbEF7.json', 'utf8'));
-    const web3Keypair = Keypair.fromSecretKey(new Uint8Array(walletFile));
-
-    // Fetch and validate metadata from remote URL
-    console.log("Fetching metadata from:", metadataUrl);
-    const response = await fetch(metadataUrl);
-    if (!response.ok) {
-      throw new Error(`Failed to fetch metadata: ${response.status} ${response.statusText}`);
-    }
+// Look up the landed slot of each step's signature and attach explorer links
+const recordTransactions = async (
+  connection: Connection,
+  signatures: Partial<Record<CreationStep, string>>
+): Promise<Partial<Record<CreationStep, TransactionRecord>>> => {
+  const steps = Object.keys(signatures) as CreationStep[];
+  const statuses = await connection.getSignatureStatuses(
+    steps.map((step) => signatures[step] as string),
+    { searchTransactionHistory: true }
+  );
 
-    const metadata = await response.json();
-    if (!validateMetadata(metadata)) {
-      throw new Error('Invalid metadata: missing required fields (name, symbol, description, image)');
-    }
+  const records: Partial<Record<CreationStep, TransactionRecord>> = {};
+  steps.forEach((step, index) => {
+    const signature = signatures[step] as string;
+    records[step] = {
+      signature,
+      slot: statuses.value[index]?.slot ?? null,
+      explorerUrl: getExplorerUrl('tx', signature),
+    };
+  });
+  return records;
+};
 
-    // Create token using standard SPL token method for full control over authorities
-    console.log("Creating token with standard SPL method...");
+// Instructions that create the mint account and initialize it with the payer as both authorities
+const buildCreateMintInstructions = async (
+  connection: Connection,
+  payer: PublicKey,
+  mint: PublicKey,
+  decimals: number
+): Promise<TransactionInstruction[]> => {
+  return [
+    SystemProgram.createAccount({
+      fromPubkey: payer,
+      newAccountPubkey: mint,
+      space: MINT_SIZE,
+      lamports: await getMinimumBalanceForRentExemptMint(connection),
+      programId: TOKEN_PROGRAM_ID,
+    }),
+    createInitializeMint2Instruction(
+      mint,
+      decimals,
+      payer, // Mint authority
+      payer // Freeze authority
+    ),
+  ];
+};
 
-    // Create the mint using standard SPL token method for full authority control
-    const mintKeypair = Keypair.generate();
+// Mint the single token of an NFT through Token Metadata, since the master edition holds the mint authority
+const buildNftMintInstructions = (
+  umi: Umi,
+  authority: Signer,
+  mint: PublicKey,
+  recipient: PublicKey,
+  tokenStandard: MetaplexTokenStandard
+): { instructions: TransactionInstruction[]; tokenAccount: PublicKey } => {
+  const mintIx = mintV1(umi, {
+    mint: publicKey(mint.toString()),
+    authority,
+    payer: authority,
+    tokenOwner: publicKey(recipient.toString()),
+    amount: 1,
+    tokenStandard: TokenStandard[tokenStandard],
+  });
+  return {
+    instructions: mintIx.getInstructions().map(toWeb3JsInstruction),
+    tokenAccount: getAssociatedTokenAddressSync(mint, recipient, true),
+  };
+};
 
-    const mint = await createMint(
-      connection,
-      web3Keypair, // Payer
-      web3Keypair.publicKey, // Mint authority (our wallet)
-      web3Keypair.publicKey, // Freeze authority (our wallet)
-      9, // Decimals
-      mintKeypair // Mint keypair
-    );
+// Instructions that revoke the requested authorities held by our wallet
+const buildRevokeInstructions = (
+  authority: PublicKey,
+  mint: PublicKey,
+  options: RevokeAuthorityOptions,
+  programId: PublicKey = TOKEN_PROGRAM_ID
+): TransactionInstruction[] => {
+  const instructions: TransactionInstruction[] = [];
+  if (options.revokeMintAuthority) {
+    instructions.push(createSetAuthorityInstruction(mint, authority, AuthorityType.MintTokens, null, [], programId));
+  }
+  if (options.revokeFreezeAuthority) {
+    instructions.push(createSetAuthorityInstruction(mint, authority, AuthorityType.FreezeAccount, null, [], programId));
+  }
+  return instructions;
+};
 
-    console.log("Token created successfully with address:", mint.toString());
+// Instructions token creation sends, grouped by the transaction that sends them when not atomic
+type CreationInstructions = Partial<Record<Exclude<CreationStep, 'createToken'>, TransactionInstruction[]>>;
+const CREATION_STEP_ORDER: Exclude<CreationStep, 'createToken'>[] = ['createMint', 'createMetadata', 'mintTo', 'setAuthorities', 'revokeAuthorities'];
+
+// Everything needed to create a token, built for a given payer (who also becomes every authority)
+export interface TokenCreationPlan {
+  mintKeypair: Keypair;
+  serverSigners: Keypair[]; // New accounts that sign their creation: the mint, and a new multisig
+  multisig?: MultisigInfo;
+  metadataUri: string;
+  metadataSha256: string;
+  image?: ImageInfo;
+  metadata: TokenMetadata;
+  decimals: number;
+  initialSupply: bigint;
+  program: TokenProgram;
+  tokenStandard: MetaplexTokenStandard;
+  isNft: boolean;
+  recipient: PublicKey;
+  associatedTokenAddress?: string;
+  revokeOptions: RevokeAuthorityOptions;
+  instructions: CreationInstructions;
+}
 
-    // Now add metadata using Metaplex
-    console.log("Adding metadata to token...");
-    const umi = createUmi("https://devnet.helius-rpc.com/?api-key=e3996982-5073-4b8b-942d-1d774b777012")
-      .use(mplTokenMetadata());
+// Whether any of the instructions needs a signature from the given key
+const requiresSigner = (instructions: TransactionInstruction[], signer: PublicKey): boolean => {
+  return instructions.some((instruction) => instruction.keys.some(({ pubkey, isSigner }) => isSigner && pubkey.equals(signer)));
+};
 
-    const umiKeypair = umi.eddsa.createKeypairFromSecretKey(new Uint8Array(walletFile));
-    umi.use(keypairIdentity(umiKeypair));
+// The server-held keypairs a transaction with these instructions needs
+const getServerSigners = (plan: TokenCreationPlan, instructions: TransactionInstruction[]): Keypair[] => {
+  return plan.serverSigners.filter((signer) => requiresSigner(instructions, signer.publicKey));
+};
 
-    // Convert the mint keypair to UMI signer format
-    const umiMintKeypair = umi.eddsa.createKeypairFromSecretKey(mintKeypair.secretKey);
-    const umiMintSigner = createSignerFromKeypair(umi, umiMintKeypair);
+// One transaction of a creation, with the server-held keys that sign it
+export interface CreationTransaction extends TransactionStep {
+  step: CreationStep;
+  signers: Keypair[];
+}
+
+// The transactions a plan is sent in, in order
+export const getCreationSteps = (plan: TokenCreationPlan, atomic: boolean = false): CreationTransaction[] => {
+  const { instructions } = plan;
+  const steps: { step: CreationStep; instructions: TransactionInstruction[] }[] = atomic
+    ? [{ step: 'createToken', instructions: CREATION_STEP_ORDER.flatMap((step) => instructions[step] ?? []) }]
+    : CREATION_STEP_ORDER.filter((step) => instructions[step]).map((step) => ({ step, instructions: instructions[step] ?? [] }));
+  return steps.map((step) => ({ ...step, signers: getServerSigners(plan, step.instructions) }));
+};
+
+// What a creation will report once its transactions have landed (everything but the signatures)
+export type TokenCreationSummary = Omit<TokenCreationResult, 'transactionSignature' | 'signatures' | 'mintToSignature'>;
+
+export const summarizeTokenCreation = (plan: TokenCreationPlan, atomic: boolean = false): TokenCreationSummary => {
+  const mintAddress = plan.mintKeypair.publicKey.toString();
+  return {
+    mintAddress,
+    metadataUri: plan.metadataUri,
+    explorerUrl: getExplorerUrl('address', mintAddress),
+    decimals: plan.decimals,
+    initialSupply: formatTokenAmount(plan.initialSupply, plan.decimals),
+    associatedTokenAddress: plan.associatedTokenAddress,
+    revoked: {
+      mintAuthority: plan.revokeOptions.revokeMintAuthority ?? false,
+      freezeAuthority: plan.revokeOptions.revokeFreezeAuthority ?? false,
+    },
+    atomic,
+    program: plan.program,
+    ...(plan.program === 'spl-token' && { tokenStandard: plan.tokenStandard }),
+    metadataSha256: plan.metadataSha256,
+    image: plan.image,
+    multisig: plan.multisig,
+  };
+};
+
+// Report a creation whose transactions have all landed, with the slot of each signature
+export const completeTokenCreation = async (
+  summary: TokenCreationSummary,
+  signatures: Partial<Record<CreationStep, string>>,
+  apiKeyId?: string
+): Promise<TokenCreationResult> => {
+  const connection = getConnection();
+  if (summary.associatedTokenAddress) {
+    console.log('Initial supply minted to:', summary.associatedTokenAddress);
+  }
+
+  // Check the mint account immediately after creation
+  const mintInfo = await connection.getParsedAccountInfo(new PublicKey(summary.mintAddress));
+  if (mintInfo.value && mintInfo.value.data && typeof mintInfo.value.data === 'object' && 'parsed' in mintInfo.value.data) {
+    const mintData = mintInfo.value.data.parsed.info;
+    console.log('Mint authority immediately after creation:', mintData.mintAuthority);
+    console.log('Freeze authority immediately after creation:', mintData.freezeAuthority);
+  }
+
+  const isNft = summary.tokenStandard !== undefined && isNonFungibleStandard(summary.tokenStandard);
+  console.log('\n✅ Token Creation Complete');
+  console.log('🪙 Token created with metadata successfully!');
+  console.log('🔗 View Token on Solana Explorer:');
+  console.log(`   ${summary.explorerUrl}`);
+  if (summary.multisig) {
+    console.log(`🔐 Remaining token authorities are held by the ${summary.multisig.threshold}-of-${summary.multisig.signers.length} multisig ${summary.multisig.address}.`);
+  } else if (!isNft && (!summary.revoked.mintAuthority || !summary.revoked.freezeAuthority)) {
+    console.log('🔑 Remaining token authorities are set to your wallet and can be revoked.');
+  }
+
+  // Return the result with every transaction signature
+  const mintSignature = (summary.atomic ? signatures.createToken : signatures.createMint) as string;
+  const result: TokenCreationResult = {
+    mintAddress: summary.mintAddress,
+    metadataUri: summary.metadataUri,
+    transactionSignature: mintSignature,
+    signatures: await recordTransactions(connection, signatures),
+    explorerUrl: summary.explorerUrl,
+    decimals: summary.decimals,
+    initialSupply: summary.initialSupply,
+    associatedTokenAddress: summary.associatedTokenAddress,
+    mintToSignature: summary.atomic && summary.initialSupply !== '0' ? mintSignature : signatures.mintTo,
+    revoked: summary.revoked,
+    atomic: summary.atomic,
+    program: summary.program,
+    ...(summary.tokenStandard && { tokenStandard: summary.tokenStandard }),
+    metadataSha256: summary.metadataSha256,
+    image: summary.image,
+    multisig: summary.multisig
+    // No mint signer secret key needed since our wallet is the authority
+  };
+
+  await registerCreatedToken(result, apiKeyId);
+  await recordApiKeyUsage(apiKeyId, { signatures: Object.values(signatures) as string[] });
+  return result;
+};
+
+// Fetch and check the metadata, then build every creation instruction with `payer` as fee payer and authority
+export const planTokenCreation = async (
+  metadataUrl: string,
+  options: CreateTokenOptions,
+  payer: PublicKey
+): Promise<TokenCreationPlan> => {
+  const tokenStandard = options.tokenStandard ?? 'Fungible';
+  const isNft = isNonFungibleStandard(tokenStandard);
+  const decimals = options.decimals ?? (tokenStandard === 'Fungible' ? 9 : 0);
+  const program = options.program ?? 'spl-token';
+  const programId = getTokenProgramId(program);
+  const initialSupply = parseTokenAmount(options.initialSupply ?? (isNft ? '1' : '0'), decimals);
+  const revokeOptions: RevokeAuthorityOptions = {
+    revokeMintAuthority: options.revokeMintAuthority ?? false,
+    revokeFreezeAuthority: options.revokeFreezeAuthority ?? false,
+  };
+  const connection = getConnection();
+
+  // Fetch and validate metadata from remote URL
+  // IPFS and Arweave URIs are stored in canonical form unless a gateway URL is asked for
+  const content = parseContentUri(metadataUrl);
+  const metadataUri = options.onChainGateway ? toGatewayUrl(content, options.onChainGateway) : content.uri;
+  const { metadata, sha256: metadataSha256 } = await fetchTokenMetadata(content.uri, {
+    expectedSha256: options.expectedSha256,
+    onChainUri: metadataUri,
+  });
+
+  // Make sure the image is a real, reasonably sized image before spending any SOL
+  const image = options.skipImageCheck ? undefined : await verifyTokenImage(metadata.image);
+
+  // Create the mint using standard SPL token method for full authority control
+  const mintKeypair = Keypair.generate();
+  const mint = mintKeypair.publicKey;
+  const instructions: CreationInstructions = {};
+  instructions.createMint = program === 'token-2022'
+    ? await buildCreateToken2022MintInstructions(connection, {
+        payer,
+        mint,
+        decimals,
+        name: metadata.name,
+        symbol: metadata.symbol,
+        uri: metadataUri,
+        extensions: options.extensions,
+      })
+    : await buildCreateMintInstructions(connection, payer, mint, decimals);
+
+  // A new multisig is created alongside the mint; an existing one has to be a multisig of the same program
+  const serverSigners = [mintKeypair];
+  let multisig: MultisigInfo | undefined;
+  if (options.multisig?.signers) {
+    const multisigKeypair = Keypair.generate();
+    const signers = options.multisig.signers.map((signer) => new PublicKey(signer));
+    const threshold = options.multisig.threshold ?? signers.length;
+    instructions.createMint.unshift(
+      ...await buildCreateMultisigInstructions(connection, payer, multisigKeypair.publicKey, signers, threshold, programId)
+    );
+    serverSigners.push(multisigKeypair);
+    multisig = { address: multisigKeypair.publicKey.toString(), threshold, signers: options.multisig.signers };
+  } else if (options.multisig?.address) {
+    multisig = await getMultisig(connection, options.multisig.address, programId) ?? undefined;
+    if (!multisig) {
+      throw new Error(`Invalid multisig: ${options.multisig.address} is not a ${program} multisig account`);
+    }
+  }
 
-    // Create metadata for the existing mint (mint needs to be a signer)
-    const createMetadataIx = createV1(umi, {
-      mint: umiMintSigner, // Use the mint signer
-      authority: umi.identity,
-      payer: umi.identity,
-      updateAuthority: umi.identity,
+  // Metaplex metadata for classic SPL mints (mint needs to be a signer);
+  // Token-2022 mints already carry their metadata in the mint account.
+  // The instructions are sent with web3.js, so the umi signers only mark who has to sign
+  const umi = getUmi();
+  const umiPayer = createNoopSigner(publicKey(payer.toString()));
+  if (program === 'spl-token') {
+    instructions.createMetadata = createV1(umi, {
+      mint: createNoopSigner(publicKey(mint.toString())),
+      authority: umiPayer,
+      payer: umiPayer,
+      updateAuthority: umiPayer,
       name: metadata.name,
       symbol: metadata.symbol,
-      uri: metadataUrl,
-      sellerFeeBasisPoints: percentAmount(0),
-      tokenStandard: TokenStandard.Fungible,
-    });
-
-    await createMetadataIx.sendAndConfirm(umi);
-    console.log("Metadata added successfully!");
-
-    // Use the mint address from the standard creation
-    const mintAddress = mint;
-    const mintAddressString = mintAddress.toString();
-
-    // Check the mint account immediately after creation
-    const mintInfo = await connection.getParsedAccountInfo(mintAddress);
-    if (mintInfo.value && mintInfo.value.data && typeof mintInfo.value.data === 'object' && 'parsed' in mintInfo.value.data) {
-      const mintData = mintInfo.value.data.parsed.info;
-      console.log('Mint authority immediately after creation:', mintData.mintAuthority);
-      console.log('Freeze authority immediately after creation:', mintData.freezeAuthority);
+      uri: metadataUri,
+      sellerFeeBasisPoints: createAmount(options.sellerFeeBasisPoints ?? 0, '%', 2),
+      tokenStandard: TokenStandard[tokenStandard],
+      // Only the payer signs, so it is the only creator that can be verified now
+      creators: options.creators
+        ? some(options.creators.map(({ address, share }) => ({
+            address: publicKey(address),
+            share,
+            verified: address === payer.toString(),
+          })))
+        : none(),
+      collection: options.collection ? some({ key: publicKey(options.collection), verified: false }) : none(),
+      isMutable: options.isMutable ?? true,
+    }).getInstructions().map(toWeb3JsInstruction);
+  }
+
+  // Initial supply goes to the recipient (or the payer)
+  const recipient = options.recipient ? new PublicKey(options.recipient) : payer;
+  const mintToPlan = initialSupply === 0n
+    ? null
+    : isNft
+      ? buildNftMintInstructions(umi, umiPayer, mint, recipient, tokenStandard)
+      : buildMintToInstructions(payer, mint, recipient, initialSupply, programId);
+  if (mintToPlan) {
+    instructions.mintTo = mintToPlan.instructions;
+  }
+
+  // Authorities that are kept move to the multisig once the initial supply is minted
+  if (multisig) {
+    const multisigAddress = new PublicKey(multisig.address);
+    instructions.setAuthorities = [
+      ...(revokeOptions.revokeMintAuthority ? [] : [createSetAuthorityInstruction(mint, payer, AuthorityType.MintTokens, multisigAddress, [], programId)]),
+      ...(revokeOptions.revokeFreezeAuthority ? [] : [createSetAuthorityInstruction(mint, payer, AuthorityType.FreezeAccount, multisigAddress, [], programId)]),
+    ];
+  }
+
+  const revokeInstructions = buildRevokeInstructions(payer, mint, revokeOptions, programId);
+  if (revokeInstructions.length > 0) {
+    instructions.revokeAuthorities = revokeInstructions;
+  }
+
+  return {
+    mintKeypair,
+    serverSigners,
+    multisig,
+    metadataUri,
+    metadataSha256,
+    image,
+    metadata,
+    decimals,
+    initialSupply,
+    program,
+    tokenStandard,
+    isNft,
+    recipient,
+    associatedTokenAddress: mintToPlan?.tokenAccount.toString(),
+    revokeOptions,
+    instructions,
+  };
+};
+
+// Main token creation function
+export const createTokenFromMetadataUrl = async (
+  metadataUrl: string,
+  options: CreateTokenOptions = {}
+): Promise<TokenCreationResult> => {
+  const signatures: Partial<Record<CreationStep, string>> = {};
+  try {
+    // Shared web3.js connection and service wallet
+    const connection = getConnection();
+    const web3Keypair = getPayerKeypair();
+
+    const plan = await planTokenCreation(metadataUrl, options, web3Keypair.publicKey);
+    const { mintKeypair, decimals, initialSupply, program, instructions } = plan;
+    const mint = mintKeypair.publicKey;
+
+    // Our wallet always signs; the mint (and a new multisig) sign the steps that create them
+    const sendStep = (stepInstructions: TransactionInstruction[]): Promise<string> => sendAndConfirmTransaction(
+      connection,
+      new Transaction().add(...stepInstructions),
+      [web3Keypair, ...getServerSigners(plan, stepInstructions)]
+    );
+
+    if (options.atomic) {
+      // Everything in one transaction: either the token exists with its metadata (and supply) or nothing does
+      console.log("Creating token and metadata in a single atomic transaction...");
+      signatures.createToken = await sendStep(CREATION_STEP_ORDER.flatMap((step) => instructions[step] ?? []));
+      console.log("Token created successfully with address:", mint.toString());
+    } else {
+      console.log(program === 'token-2022' ? "Creating Token-2022 mint with on-mint metadata..." : "Creating token with standard SPL method...");
+      signatures.createMint = await sendStep(instructions.createMint ?? []);
+      console.log("Token created successfully with address:", mint.toString());
+
+      if (instructions.createMetadata) {
+        console.log("Adding metadata to token...");
+        signatures.createMetadata = await sendStep(instructions.createMetadata);
+        console.log("Metadata added successfully!");
+      }
+
+      if (instructions.mintTo) {
+        console.log(`Minting ${formatTokenAmount(initialSupply, decimals)} tokens to ${plan.recipient.toString()}...`);
+        signatures.mintTo = await sendStep(instructions.mintTo);
+      }
+
+      if (instructions.setAuthorities) {
+        console.log(`🔐 Handing authorities to multisig ${plan.multisig?.address}...`);
+        signatures.setAuthorities = await sendStep(instructions.setAuthorities);
+      }
+
+      if (instructions.revokeAuthorities) {
+        console.log('🔒 Revoking requested authorities...');
+        signatures.revokeAuthorities = await sendStep(instructions.revokeAuthorities);
+      }
     }
 
-    // Token created with metadata - no initial minting needed
+    return await completeTokenCreation(summarizeTokenCreation(plan, options.atomic), signatures, options.apiKeyId);
+
+  } catch (error) {
+    console.error('Error creating token:', error);
+    // Transactions that landed before the failure were still paid for
+    await recordApiKeyUsage(options.apiKeyId, { signatures: Object.values(signatures) as string[] });
+    throw error;
+  }
+};
 
-    console.log('\n✅ Token Creation Complete');
-    console.log('🪙 Token created with metadata successfully!');
-    console.log('🔗 View Token on Solana Explorer:');
-    console.log(`   https://explorer.solana.com/address/${mintAddressString}?cluster=devnet`);
-    console.log('🔑 Token authorities are set to your wallet and can be revoked.');
+// Unsigned token creation: the caller's wallet pays, signs and holds every authority
+export interface PreparedTokenCreation extends PreparedTransactions {
+  mintAddress: string;
+  metadataUri: string;
+  metadataSha256: string;
+  decimals: number;
+  initialSupply: string;
+  associatedTokenAddress?: string;
+  revoked: { mintAuthority: boolean; freezeAuthority: boolean }; // Authorities the transactions revoke
+  atomic: boolean;
+  program: TokenProgram;
+  tokenStandard?: MetaplexTokenStandard;
+  image?: ImageInfo;
+  multisig?: MultisigInfo;
+  explorerUrl: string;
+}
+
+// Build the creation transaction(s) for a caller's wallet instead of sending them: the mint keypair
+// signs here and is then discarded, the caller signs and submits each transaction in order
+export const prepareTokenCreation = async (
+  metadataUrl: string,
+  payerAddress: string,
+  options: CreateTokenOptions = {}
+): Promise<PreparedTokenCreation> => {
+  try {
+    const payer = new PublicKey(payerAddress);
+    const plan = await planTokenCreation(metadataUrl, options, payer);
+    const mint = plan.mintKeypair.publicKey;
+
+    // The first transaction creates the mint, so the token is registered once it lands
+    const [first, ...rest] = getCreationSteps(plan, options.atomic);
+    const register = { token: summarizeTokenCreation(plan, options.atomic), apiKeyId: options.apiKeyId };
+    const prepared = await issueTransactions(payer, [{ ...first, register }, ...rest], { mintAddress: mint.toString() });
+    console.log(`📦 Prepared ${prepared.transactions.length} transaction(s) for ${payer.toString()} to sign (mint ${mint.toString()})`);
 
-    // Return the result
-    const signatureString = "token-created-with-standard-method";
     return {
-      mintAddress: mintAddressString,
-      transactionSignature: signatureString,
-      explorerUrl: `https://explorer.solana.com/address/${mintAddressString}?cluster=devnet`
-      // No mint signer secret key needed since our wallet is the authority
+      ...prepared,
+      mintAddress: mint.toString(),
+      metadataUri: plan.metadataUri,
+      metadataSha256: plan.metadataSha256,
+      decimals: plan.decimals,
+      initialSupply: formatTokenAmount(plan.initialSupply, plan.decimals),
+      associatedTokenAddress: plan.associatedTokenAddress,
+      revoked: {
+        mintAuthority: plan.revokeOptions.revokeMintAuthority ?? false,
+        freezeAuthority: plan.revokeOptions.revokeFreezeAuthority ?? false,
+      },
+      atomic: options.atomic ?? false,
+      program: plan.program,
+      ...(plan.program === 'spl-token' && { tokenStandard: plan.tokenStandard }),
+      image: plan.image,
+      multisig: plan.multisig,
+      explorerUrl: getExplorerUrl('address', mint.toString()),
     };
-
   } catch (error) {
-    console.error('Error creating token:', error);
+    console.error('Error preparing token creation:', error);
     throw error;
   }
 };
@@ -169,32 +667,55 @@ export const createTokenFromMetadataUrl = async (metadataUrl: string): Promise<T
 export interface RevokeAuthorityOptions {
   revokeMintAuthority?: boolean;
   revokeFreezeAuthority?: boolean;
+  // Token-2022 extension authorities (ignored for classic SPL mints)
+  revokeTransferFeeConfigAuthority?: boolean;
+  revokeWithheldWithdrawAuthority?: boolean;
+  revokePermanentDelegate?: boolean;
+  revokeMetadataPointerAuthority?: boolean;
+  revokeMetadataUpdateAuthority?: boolean;
+  multisigSigners?: string[]; // Members that sign when an authority is held by a multisig
 }
 
+// Which revoke option controls each Token-2022 extension authority
+const TOKEN_2022_REVOKE_OPTIONS: Record<Token2022AuthorityKind, keyof RevokeAuthorityOptions> = {
+  transferFeeConfigAuthority: 'revokeTransferFeeConfigAuthority',
+  withheldWithdrawAuthority: 'revokeWithheldWithdrawAuthority',
+  permanentDelegate: 'revokePermanentDelegate',
+  metadataPointerAuthority: 'revokeMetadataPointerAuthority',
+  metadataUpdateAuthority: 'revokeMetadataUpdateAuthority',
+};
+
+// Authorities revoked by a revocation request
+export type RevokedAuthorities = {
+  mintAuthority?: boolean;
+  freezeAuthority?: boolean;
+} & Partial<Record<Token2022AuthorityKind, boolean>>;
+
 // Function to revoke authorities after token creation
 export const revokeTokenAuthorities = async (
   mintAddress: string,
   options: RevokeAuthorityOptions = { revokeMintAuthority: true, revokeFreezeAuthority: true },
   mintSignerSecretKey?: number[]
-): Promise<{ success: boolean; signatures?: string[]; error?: string; revoked?: { mintAuthority?: boolean; freezeAuthority?: boolean } }> => {
+): Promise<{
+  success: boolean;
+  signatures?: string[];
+  error?: string;
+  revoked?: RevokedAuthorities;
+  program?: TokenProgram;
+  pendingSignatures?: PendingSignatures; // Set when multisig members still have to sign
+}> => {
   try {
-    const connection = new Connection('https://devnet.helius-rpc.com/?api-key=e3996982-5073-4b8b-942d-1d774b777012', 'confirmed');
-    const walletFile = JSON.parse(fs.readFileSync('./sM1hvmgLNhyjEGphU67RpcKBACghwoo3NUPGMvUbEF7.json', 'utf8'));
-    const web3Keypair = Keypair.fromSecretKey(new Uint8Array(walletFile));
+    const connection = getConnection();
+    const web3Keypair = getPayerKeypair();
 
     // Get mint info to check current authorities
-    const mintInfo = await connection.getParsedAccountInfo(new PublicKey(mintAddress));
-
-    if (!mintInfo.value || !mintInfo.value.data || typeof mintInfo.value.data !== 'object' || !('parsed' in mintInfo.value.data)) {
-      throw new Error('Could not fetch mint information');
-    }
-
-    const mintData = mintInfo.value.data.parsed.info;
+    const { programId, program, info: mintData } = await getParsedMint(connection, mintAddress);
     console.log('Current mint authority:', mintData.mintAuthority);
     console.log('Current freeze authority:', mintData.freezeAuthority);
 
     const signatures: string[] = [];
-    const revoked = { mintAuthority: false, freezeAuthority: false };
+    const revoked: RevokedAuthorities = { mintAuthority: false, freezeAuthority: false };
+    const multisigAuthorities: AuthoritySigner[] = [];
 
     // Create transaction for authority revocation
     const transaction = new Transaction();
@@ -216,16 +737,37 @@ export const revokeTokenAuthorities = async (
         }
       }
 
+      // Otherwise the authority may be a multisig the requested members can sign for
+      const multisigAuthority = authorityKeypair
+        ? null
+        : await resolveAuthoritySigner(connection, mintData.mintAuthority, programId, options.multisigSigners);
+
       if (authorityKeypair) {
         transaction.add(
           createSetAuthorityInstruction(
             new PublicKey(mintAddress),
             authorityKeypair.publicKey,
             AuthorityType.MintTokens,
-            null // Setting to null revokes the authority
+            null, // Setting to null revokes the authority
+            [],
+            programId
           )
         );
         revoked.mintAuthority = true;
+      } else if (multisigAuthority) {
+        console.log('🔑 Revoking mint authority through multisig...');
+        transaction.add(
+          createSetAuthorityInstruction(
+            new PublicKey(mintAddress),
+            multisigAuthority.authority,
+            AuthorityType.MintTokens,
+            null,
+            multisigAuthority.multiSigners,
+            programId
+          )
+        );
+        multisigAuthorities.push(multisigAuthority);
+        revoked.mintAuthority = true;
       } else {
         console.log(`⚠️  Warning: Cannot revoke mint authority ${mintData.mintAuthority}`);
       }
@@ -250,16 +792,37 @@ export const revokeTokenAuthorities = async (
         }
       }
 
+      // Otherwise the authority may be a multisig the requested members can sign for
+      const multisigAuthority = authorityKeypair
+        ? null
+        : await resolveAuthoritySigner(connection, mintData.freezeAuthority, programId, options.multisigSigners);
+
       if (authorityKeypair) {
         transaction.add(
           createSetAuthorityInstruction(
             new PublicKey(mintAddress),
             authorityKeypair.publicKey,
             AuthorityType.FreezeAccount,
-            null // Setting to null revokes the authority
+            null, // Setting to null revokes the authority
+            [],
+            programId
           )
         );
         revoked.freezeAuthority = true;
+      } else if (multisigAuthority) {
+        console.log('🧊 Revoking freeze authority through multisig...');
+        transaction.add(
+          createSetAuthorityInstruction(
+            new PublicKey(mintAddress),
+            multisigAuthority.authority,
+            AuthorityType.FreezeAccount,
+            null,
+            multisigAuthority.multiSigners,
+            programId
+          )
+        );
+        multisigAuthorities.push(multisigAuthority);
+        revoked.freezeAuthority = true;
       } else {
         console.log(`⚠️  Warning: Cannot revoke freeze authority ${mintData.freezeAuthority}`);
       }
@@ -267,7 +830,38 @@ export const revokeTokenAuthorities = async (
       console.log('ℹ️  Skipping freeze authority revocation (not requested)');
     }
 
-    if (transaction.instructions.length > 0) {
+    // Token-2022 extension authorities can only be revoked by our wallet
+    if (program === 'token-2022') {
+      const extensionAuthorities = getToken2022Authorities(mintData);
+      for (const kind of TOKEN_2022_AUTHORITY_KINDS) {
+        const currentAuthority = extensionAuthorities[kind];
+        if (!currentAuthority || !options[TOKEN_2022_REVOKE_OPTIONS[kind]]) {
+          continue;
+        }
+        revoked[kind] = false;
+
+        if (currentAuthority !== web3Keypair.publicKey.toString()) {
+          console.log(`⚠️  Warning: Cannot revoke ${kind} ${currentAuthority}`);
+          continue;
+        }
+
+        console.log(`🔒 Revoking ${kind}...`);
+        transaction.add(buildToken2022AuthorityInstruction(kind, new PublicKey(mintAddress), web3Keypair.publicKey, null));
+        revoked[kind] = true;
+      }
+    }
+
+    if (transaction.instructions.length > 0 && multisigAuthorities.length > 0) {
+      // Multisig members other than our wallet sign the issued transaction and /submit it
+      const outcome = await sendOrCollectSignatures(connection, 'revokeAuthorities', transaction.instructions, multisigAuthorities, { mintAddress });
+      if ('pendingSignatures' in outcome) {
+        return { success: true, signatures, revoked, program, pendingSignatures: outcome.pendingSignatures };
+      }
+      signatures.push(outcome.signature);
+      console.log('✅ Authorities revoked successfully!');
+      console.log('📝 Transaction signature:', outcome.signature);
+      await recordTokenTransactions(mintAddress, 'revokeAuthorities', signatures);
+    } else if (transaction.instructions.length > 0) {
       // Determine which signers we need
       const signers: Keypair[] = [web3Keypair]; // Always include the wallet
 
@@ -284,15 +878,83 @@ export const revokeTokenAuthorities = async (
       signatures.push(signature);
       console.log('✅ Authorities revoked successfully!');
       console.log('📝 Transaction signature:', signature);
+      await recordTokenTransactions(mintAddress, 'revokeAuthorities', signatures);
     }
 
-    return { success: true, signatures, revoked };
+    return { success: true, signatures, revoked, program };
   } catch (error) {
     console.error('Error revoking authorities:', error);
     return { success: false, error: error instanceof Error ? error.message : String(error) };
   }
 };
 
+// Unsigned authority revocation: the caller's wallet holds the authorities and pays
+export interface PreparedAuthorityRevocation extends PreparedTransactions {
+  mintAddress: string;
+  revoked: RevokedAuthorities; // Authorities the transaction revokes
+  program: TokenProgram;
+}
+
+// Build the revocation transaction for a caller's wallet that holds the authorities, instead of sending it
+export const prepareAuthorityRevocation = async (
+  mintAddress: string,
+  payerAddress: string,
+  options: RevokeAuthorityOptions = { revokeMintAuthority: true, revokeFreezeAuthority: true }
+): Promise<PreparedAuthorityRevocation> => {
+  try {
+    const connection = getConnection();
+    const payer = new PublicKey(payerAddress);
+
+    // Get mint info to check current authorities
+    const { address: mint, programId, program, info: mintData } = await getParsedMint(connection, mintAddress);
+    const revoked: RevokedAuthorities = { mintAuthority: false, freezeAuthority: false };
+    const instructions: TransactionInstruction[] = [];
+
+    // Only authorities held by the caller's wallet can be revoked with its signature
+    const classicAuthorities = [
+      { name: 'mintAuthority', current: mintData.mintAuthority, requested: options.revokeMintAuthority, type: AuthorityType.MintTokens },
+      { name: 'freezeAuthority', current: mintData.freezeAuthority, requested: options.revokeFreezeAuthority, type: AuthorityType.FreezeAccount },
+    ] as const;
+    for (const { name, current, requested, type } of classicAuthorities) {
+      if (!current || !requested) {
+        continue;
+      }
+      if (current !== payer.toString()) {
+        console.log(`⚠️  Warning: Cannot revoke ${name} ${current}`);
+        continue;
+      }
+      instructions.push(createSetAuthorityInstruction(mint, payer, type, null, [], programId));
+      revoked[name] = true;
+    }
+
+    if (program === 'token-2022') {
+      const extensionAuthorities = getToken2022Authorities(mintData);
+      for (const kind of TOKEN_2022_AUTHORITY_KINDS) {
+        const currentAuthority = extensionAuthorities[kind];
+        if (!currentAuthority || !options[TOKEN_2022_REVOKE_OPTIONS[kind]]) {
+          continue;
+        }
+        revoked[kind] = currentAuthority === payer.toString();
+        if (!revoked[kind]) {
+          console.log(`⚠️  Warning: Cannot revoke ${kind} ${currentAuthority}`);
+          continue;
+        }
+        instructions.push(buildToken2022AuthorityInstruction(kind, mint, payer, null));
+      }
+    }
+
+    const prepared = instructions.length > 0
+      ? await issueTransactions(payer, [{ step: 'revokeAuthorities', instructions }], { mintAddress: mint.toString() })
+      : { payer: payer.toString(), transactions: [], lastValidBlockHeight: 0 };
+    console.log(`📦 Prepared ${prepared.transactions.length} revocation transaction(s) for ${payer.toString()} to sign`);
+
+    return { ...prepared, mintAddress: mint.toString(), revoked, program };
+  } catch (error) {
+    console.error('Error preparing authority revocation:', error);
+    throw error;
+  }
+};
+
 // Example usage (for testing)
 const testTokenCreation = async () => {
   try {
@@ -0,0 +1,62 @@
+import fs from 'fs'
+import path from 'path'
+import { getConfig } from './config'
+
+// Path of a file under the configured data directory
+export const getDataPath = (...segments: string[]): string => path.join(getConfig().dataDir, ...segments);
+
+// Read a JSON file, or null when it does not exist yet
+export const readJsonFile = async <T>(file: string): Promise<T | null> => {
+  try {
+    return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+  } catch (error) {
+    if ((error as NodeJS.ErrnoException).code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+};
+
+// Write a JSON file atomically (a crash leaves the old or the new content, never half of it),
+// readable by the service user only since service state can include secrets
+export const writeJsonFile = async (file: string, value: unknown): Promise<void> => {
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+  const tmp = `${file}.tmp`;
+  await fs.promises.writeFile(tmp, JSON.stringify(value, null, 2), { mode: 0o600 });
+  await fs.promises.rename(tmp, file);
+};
+
+// A JSON file owned by this process: loaded once, kept in memory, and written after every update.
+// Updates run one at a time so none is lost
+export interface JsonStore<T> {
+  read: () => Promise<T>;
+  update: <R>(change: (data: T) => R) => Promise<R>;
+}
+
+export const createJsonStore = <T>(name: string, empty: () => T): JsonStore<T> => {
+  let loaded: Promise<T> | null = null;
+  let writing: Promise<unknown> = Promise.resolve();
+
+  const read = (): Promise<T> => {
+    loaded ??= readJsonFile<T>(getDataPath(name))
+      .then((data) => data ?? empty())
+      .catch((error) => {
+        loaded = null; // Try again next time rather than keep failing
+        throw error;
+      });
+    return loaded;
+  };
+
+  const update = <R>(change: (data: T) => R): Promise<R> => {
+    const next = writing.then(async () => {
+      const data = await read();
+      const result = change(data);
+      await writeJsonFile(getDataPath(name), data);
+      return result;
+    });
+    writing = next.catch(() => undefined);
+    return next;
+  };
+
+  return { read, update };
+};
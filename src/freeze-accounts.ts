@@ -0,0 +1,206 @@
+import {
+  createFreezeAccountInstruction,
+  createThawAccountInstruction,
+  getAssociatedTokenAddressSync
+} from '@solana/spl-token'
+import {
+  PACKET_DATA_SIZE,
+  PublicKey,
+  Transaction,
+  TransactionInstruction,
+  sendAndConfirmTransaction
+} from '@solana/web3.js'
+import { getExplorerUrl } from './config'
+import { getParsedMint } from './mint-account'
+import { getConnection, getPayerKeypair } from './solana'
+import { TokenProgram } from './token-2022'
+import { recordTokenTransactions } from './token-registry'
+
+// Most accounts accepted in one freeze/thaw request
+export const MAX_FREEZE_ACCOUNTS = 100;
+
+export type FreezeAction = 'freeze' | 'thaw';
+
+// What happened to one token account
+export interface FrozenAccountResult {
+  input: string; // Address as given (owner or token account)
+  tokenAccount: string;
+  owner: string;
+  state: 'frozen' | 'initialized'; // State after the request
+  changed: boolean; // false when the account was already in the requested state
+  signature?: string; // Transaction that changed it
+}
+
+// Freeze/thaw result interface
+export interface FreezeAccountsResult {
+  mintAddress: string;
+  action: FreezeAction;
+  accounts: FrozenAccountResult[];
+  signatures: string[];
+  explorerUrls: string[];
+  program: TokenProgram;
+}
+
+// Thrown when a transaction fails after earlier batches already landed; carries what did change
+export class PartialFreezeError extends Error {
+  result: FreezeAccountsResult;
+
+  constructor(cause: unknown, result: FreezeAccountsResult) {
+    const detail = cause instanceof Error ? cause.message : String(cause);
+    super(`Failed to ${result.action} every account: ${detail} (${result.signatures.length} transaction(s) landed before the failure)`);
+    this.name = 'PartialFreezeError';
+    this.result = result;
+  }
+}
+
+interface ResolvedAccount {
+  input: string;
+  tokenAccount: PublicKey;
+  owner: string;
+  state: string;
+}
+
+// Resolve each address to a token account of the mint: token accounts are used as-is, anything else
+// is treated as a wallet and mapped to its associated token account
+const resolveTokenAccounts = async (
+  addresses: string[],
+  mint: PublicKey,
+  programId: PublicKey
+): Promise<ResolvedAccount[]> => {
+  const connection = getConnection();
+  const inputs = addresses.map((address) => new PublicKey(address));
+  const inputInfos = await connection.getMultipleParsedAccounts(inputs);
+
+  const candidates = inputs.map((input, index) => {
+    const info = inputInfos.value[index];
+    const isTokenAccount = info?.owner.equals(programId) && 'parsed' in info.data && info.data.parsed.type === 'account';
+    return isTokenAccount ? input : getAssociatedTokenAddressSync(mint, input, true, programId);
+  });
+  const candidateInfos = await connection.getMultipleParsedAccounts(candidates);
+
+  return candidates.map((tokenAccount, index) => {
+    const info = candidateInfos.value[index];
+    if (!info || !('parsed' in info.data) || info.data.parsed.type !== 'account') {
+      throw new Error(`Token account not found: ${addresses[index]} has no token account for this mint`);
+    }
+    const parsed = info.data.parsed.info;
+    if (parsed.mint !== mint.toString()) {
+      throw new Error(`Invalid account: ${addresses[index]} holds mint ${parsed.mint}`);
+    }
+    return { input: addresses[index], tokenAccount, owner: parsed.owner, state: parsed.state };
+  });
+};
+
+// Whether a transaction with these instructions fits in a single packet
+const fitsInTransaction = (instructions: TransactionInstruction[], payer: PublicKey): boolean => {
+  const transaction = new Transaction().add(...instructions);
+  transaction.feePayer = payer;
+  transaction.recentBlockhash = PublicKey.default.toBase58(); // Placeholder, same size as a real blockhash
+  try {
+    return transaction.serialize({ requireAllSignatures: false, verifySignatures: false }).length <= PACKET_DATA_SIZE;
+  } catch {
+    return false;
+  }
+};
+
+// Freeze or thaw token accounts of a mint whose freeze authority is our wallet, packing the
+// instructions into as few transactions as possible
+export const setTokenAccountsFrozen = async (
+  mintAddress: string,
+  addresses: string[],
+  action: FreezeAction
+): Promise<FreezeAccountsResult> => {
+  try {
+    const connection = getConnection();
+    const web3Keypair = getPayerKeypair();
+    const payer = web3Keypair.publicKey;
+
+    // Get mint info to check the current freeze authority
+    const { address: mint, programId, program, info: mintData } = await getParsedMint(connection, mintAddress);
+    console.log('Current freeze authority:', mintData.freezeAuthority);
+
+    if (!mintData.freezeAuthority) {
+      throw new Error('Not freeze authority: freeze authority has been revoked');
+    }
+    if (mintData.freezeAuthority !== payer.toString()) {
+      throw new Error(`Not freeze authority: freeze authority is ${mintData.freezeAuthority}`);
+    }
+
+    const accounts = await resolveTokenAccounts(addresses, mint, programId);
+    const targetState = action === 'freeze' ? 'frozen' : 'initialized';
+    const buildInstruction = action === 'freeze' ? createFreezeAccountInstruction : createThawAccountInstruction;
+
+    // Skip accounts already in the requested state, and duplicates
+    const pending: ResolvedAccount[] = [];
+    for (const account of accounts) {
+      if (account.state !== targetState && !pending.some((entry) => entry.tokenAccount.equals(account.tokenAccount))) {
+        pending.push(account);
+      }
+    }
+
+    // Greedily fill each transaction up to the packet size limit
+    const batches: ResolvedAccount[][] = [];
+    for (const account of pending) {
+      const current = batches[batches.length - 1];
+      const candidate = current ? [...current, account] : [account];
+      const instructions = candidate.map(({ tokenAccount }) => buildInstruction(tokenAccount, mint, payer, [], programId));
+      if (current && fitsInTransaction(instructions, payer)) {
+        current.push(account);
+      } else {
+        batches.push([account]);
+      }
+    }
+
+    const signatures: string[] = [];
+    const signatureByAccount = new Map<string, string>();
+
+    // Accounts changed by a landed transaction are in the target state, the rest keep their own
+    const summarize = (): FreezeAccountsResult => ({
+      mintAddress: mint.toString(),
+      action,
+      accounts: accounts.map((account) => {
+        const signature = signatureByAccount.get(account.tokenAccount.toString());
+        return {
+          input: account.input,
+          tokenAccount: account.tokenAccount.toString(),
+          owner: account.owner,
+          state: signature || account.state === targetState ? targetState : account.state as FrozenAccountResult['state'],
+          changed: signature !== undefined,
+          signature
+        };
+      }),
+      signatures,
+      explorerUrls: signatures.map((signature) => getExplorerUrl('tx', signature)),
+      program
+    });
+
+    try {
+      for (const [index, batch] of batches.entries()) {
+        console.log(`${action === 'freeze' ? '🧊 Freezing' : '☀️  Thawing'} ${batch.length} account(s) (transaction ${index + 1}/${batches.length})...`);
+        const transaction = new Transaction().add(
+          ...batch.map(({ tokenAccount }) => buildInstruction(tokenAccount, mint, payer, [], programId))
+        );
+        const signature = await sendAndConfirmTransaction(connection, transaction, [web3Keypair]);
+        console.log('📝 Transaction signature:', signature);
+        signatures.push(signature);
+        batch.forEach(({ tokenAccount }) => signatureByAccount.set(tokenAccount.toString(), signature));
+      }
+    } catch (error) {
+      if (signatures.length === 0) {
+        throw error;
+      }
+      // Earlier batches landed: keep their signatures and tell the caller which accounts changed
+      await recordTokenTransactions(mint.toString(), `${action}Accounts`, signatures);
+      throw new PartialFreezeError(error, summarize());
+    }
+    if (batches.length === 0) {
+      console.log(`ℹ️  All accounts are already ${targetState === 'frozen' ? 'frozen' : 'thawed'}`);
+    }
+    await recordTokenTransactions(mint.toString(), `${action}Accounts`, signatures);
+
+    return summarize();
+  } catch (error) {
+    console.error(`Error trying to ${action} token accounts:`, error);
+    throw error;
+  }
+};
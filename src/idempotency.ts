@@ -0,0 +1,156 @@
+import { AsyncLocalStorage } from 'async_hooks'
+import crypto from 'crypto'
+import express from 'express'
+import fs from 'fs'
+import { getDataPath, readJsonFile, writeJsonFile } from './data-store'
+
+// How long a key's response is kept for replay
+export const IDEMPOTENCY_KEY_TTL_MS = 24 * 60 * 60 * 1000;
+
+// A request made with an Idempotency-Key, and its response once it has one
+interface IdempotencyRecord {
+  fingerprint: string; // SHA-256 of the method, path and body
+  status: 'in-progress' | 'completed';
+  response?: { statusCode: number; body: unknown };
+  createdAt: string;
+  completedAt?: string;
+}
+
+// Keys being handled right now. A stored request that is not among them was cut off by a restart
+const active = new Set<string>();
+
+// What the request being handled has done so far, to tell whether its failure can be run again
+interface RequestState {
+  sent: boolean; // A transaction went out
+  retryable: boolean; // The route reported a failure that may pass on a retry (e.g. the metadata could not be fetched)
+}
+
+const requestState = new AsyncLocalStorage<RequestState>();
+
+// Note that the current request sent a transaction. Its response is then stored even if it failed,
+// since running it again could repeat what already landed
+export const noteTransactionSent = (): void => {
+  const state = requestState.getStore();
+  if (state) {
+    state.sent = true;
+  }
+};
+
+// Report that the current request failed in a way a retry may fix
+export const markRetryableFailure = (): void => {
+  const state = requestState.getStore();
+  if (state) {
+    state.retryable = true;
+  }
+};
+
+const sha256 = (value: string): string => crypto.createHash('sha256').update(value).digest('hex');
+
+// JSON with object keys sorted, so the same body always gives the same fingerprint
+const canonicalJson = (value: unknown): string => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.entries(value).filter(([, entry]) => entry !== undefined).sort(([a], [b]) => a.localeCompare(b));
+    return `{${entries.map(([key, entry]) => `${JSON.stringify(key)}:${canonicalJson(entry)}`).join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+};
+
+const getRecordPath = (id: string): string => getDataPath('idempotency', `${id}.json`);
+
+const isExpired = (record: IdempotencyRecord): boolean => Date.now() - Date.parse(record.createdAt) > IDEMPOTENCY_KEY_TTL_MS;
+
+const sendError = (res: express.Response, statusCode: number, error: string) => {
+  res.status(statusCode).json({ success: false, error });
+};
+
+// Idempotency-Key support for a mutating route. The first request with a key runs normally and its
+// final response is stored; repeating it returns that response without running it again. Keys are
+// scoped to the caller's API key (`scope`). Responses refused with 429 are not stored, since nothing
+// ran, and neither are 5xx or retryable failures that happened before any transaction was sent
+export const idempotent = (scope: (res: express.Response) => string): express.RequestHandler => async (req, res, next) => {
+  const key = req.get('idempotency-key');
+  if (key === undefined) {
+    return next();
+  }
+  if (!/^[\x21-\x7e]{1,255}$/.test(key)) {
+    return sendError(res, 400, 'Idempotency-Key must be 1 to 255 printable ASCII characters without spaces');
+  }
+
+  const id = sha256(`${scope(res)}\n${key}`);
+  const fingerprint = sha256(`${req.method} ${req.baseUrl}${req.path}\n${canonicalJson(req.body)}`);
+  const createdAt = new Date().toISOString();
+
+  try {
+    const stored = await readJsonFile<IdempotencyRecord>(getRecordPath(id));
+    const record = stored && !isExpired(stored) ? stored : null;
+
+    if (record && record.fingerprint !== fingerprint) {
+      return sendError(res, 422, 'Idempotency-Key was already used for a different request');
+    }
+    if (record?.status === 'completed' && record.response) {
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(record.response.statusCode).json(record.response.body);
+    }
+    if (active.has(id)) {
+      res.set('Retry-After', '1');
+      return sendError(res, 409, 'A request with this Idempotency-Key is still in progress');
+    }
+    if (record) {
+      // Its outcome is unknown (a token may have been created), so it is neither run again nor replayed
+      return sendError(res, 409, 'The request with this Idempotency-Key was interrupted before it finished and its outcome is unknown; check before retrying with a new key');
+    }
+
+    active.add(id);
+    await writeJsonFile(getRecordPath(id), { fingerprint, status: 'in-progress', createdAt } as IdempotencyRecord);
+  } catch (error) {
+    active.delete(id);
+    return next(error);
+  }
+
+  // Store the final response before it is sent, so a retry right after it sees the stored result
+  const state: RequestState = { sent: false, retryable: false };
+  const send = res.json.bind(res);
+  res.json = (body: unknown) => {
+    const canRunAgain = res.statusCode === 429 || (!state.sent && (res.statusCode >= 500 || state.retryable));
+    const finish = canRunAgain
+      ? fs.promises.rm(getRecordPath(id), { force: true })
+      : writeJsonFile(getRecordPath(id), {
+        fingerprint,
+        status: 'completed',
+        response: { statusCode: res.statusCode, body },
+        createdAt,
+        completedAt: new Date().toISOString(),
+      } as IdempotencyRecord);
+
+    finish
+      .catch((error) => console.error('⚠️  Could not store idempotent response:', error))
+      .finally(() => {
+        active.delete(id);
+        send(body);
+      });
+    return res;
+  };
+  requestState.run(state, next);
+};
+
+// Delete stored responses whose keys have expired
+export const pruneIdempotencyRecords = async (): Promise<number> => {
+  const dir = getDataPath('idempotency');
+  await fs.promises.mkdir(dir, { recursive: true });
+
+  let pruned = 0;
+  for (const file of await fs.promises.readdir(dir)) {
+    if (!file.endsWith('.json')) {
+      continue;
+    }
+    const record = await readJsonFile<IdempotencyRecord>(getDataPath('idempotency', file));
+    if (record && isExpired(record)) {
+      await fs.promises.rm(getDataPath('idempotency', file), { force: true });
+      pruned++;
+    }
+  }
+  return pruned;
+};
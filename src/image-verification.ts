@@ -0,0 +1,185 @@
+import crypto from 'crypto'
+import { fetchFromGateways } from './content-uri'
+import { safeFetch, SafeFetchError, SafeFetchResponse } from './safe-fetch'
+
+// Limits for token images (wallets and explorers render small square images)
+export const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+export const MAX_IMAGE_DIMENSION = 4096;
+
+// Image formats we accept, identified by their magic bytes
+export type ImageMimeType = 'image/png' | 'image/jpeg' | 'image/gif' | 'image/webp' | 'image/svg+xml';
+
+// What we learned about a token image
+export interface ImageInfo {
+  url?: string;
+  mimeType: ImageMimeType;
+  size: number; // Bytes
+  width: number | null; // null for SVGs without width/height or viewBox
+  height: number | null;
+  sha256: string; // Hex digest of the image bytes
+}
+
+interface Dimensions {
+  width: number;
+  height: number;
+}
+
+const startsWith = (data: Buffer, bytes: number[], offset = 0): boolean =>
+  data.length >= offset + bytes.length && bytes.every((byte, i) => data[offset + i] === byte);
+
+const ascii = (data: Buffer, start: number, end: number): string => data.toString('latin1', start, end);
+
+// Identify the image format from its first bytes
+const sniffMimeType = (data: Buffer): ImageMimeType | null => {
+  if (startsWith(data, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return 'image/png';
+  if (startsWith(data, [0xff, 0xd8, 0xff])) return 'image/jpeg';
+  if (ascii(data, 0, 6) === 'GIF87a' || ascii(data, 0, 6) === 'GIF89a') return 'image/gif';
+  if (ascii(data, 0, 4) === 'RIFF' && ascii(data, 8, 12) === 'WEBP') return 'image/webp';
+
+  // SVG is text: allow a BOM, an XML declaration, comments and a doctype before the root element
+  const head = data.toString('utf8', 0, 1024).replace(/^\uFEFF/, '').trimStart();
+  const withoutProlog = head.replace(/^(<\?xml[^>]*>\s*|<!--[\s\S]*?-->\s*|<!DOCTYPE[^>]*>\s*)*/i, '');
+  if (/^<svg[\s>]/i.test(withoutProlog)) return 'image/svg+xml';
+
+  return null;
+};
+
+const readPngDimensions = (data: Buffer): Dimensions | null =>
+  data.length >= 24 && ascii(data, 12, 16) === 'IHDR'
+    ? { width: data.readUInt32BE(16), height: data.readUInt32BE(20) }
+    : null;
+
+const readGifDimensions = (data: Buffer): Dimensions | null =>
+  data.length >= 10 ? { width: data.readUInt16LE(6), height: data.readUInt16LE(8) } : null;
+
+// Walk the JPEG segments until a start-of-frame marker
+const readJpegDimensions = (data: Buffer): Dimensions | null => {
+  let offset = 2;
+  while (offset + 9 < data.length) {
+    if (data[offset] !== 0xff) {
+      return null;
+    }
+    const marker = data[offset + 1];
+    if (marker === 0xff) {
+      offset += 1; // Fill byte
+      continue;
+    }
+    const isStartOfFrame = marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc;
+    if (isStartOfFrame) {
+      return { height: data.readUInt16BE(offset + 5), width: data.readUInt16BE(offset + 7) };
+    }
+    offset += 2 + data.readUInt16BE(offset + 2);
+  }
+  return null;
+};
+
+const readWebpDimensions = (data: Buffer): Dimensions | null => {
+  if (data.length < 30) {
+    return null;
+  }
+  switch (ascii(data, 12, 16)) {
+    case 'VP8 ':
+      return { width: data.readUInt16LE(26) & 0x3fff, height: data.readUInt16LE(28) & 0x3fff };
+    case 'VP8L': {
+      const bits = data.readUInt32LE(21);
+      return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+    }
+    case 'VP8X':
+      return { width: data.readUIntLE(24, 3) + 1, height: data.readUIntLE(27, 3) + 1 };
+    default:
+      return null;
+  }
+};
+
+// SVG size from width/height attributes (in px or unitless), falling back to the viewBox
+const readSvgDimensions = (data: Buffer): Dimensions | null => {
+  const root = data.toString('utf8').match(/<svg[^>]*>/i)?.[0] ?? '';
+  const attribute = (name: string) => root.match(new RegExp(`\\s${name}\\s*=\\s*["']\\s*([\\d.]+)(px)?\\s*["']`, 'i'))?.[1];
+
+  const width = attribute('width');
+  const height = attribute('height');
+  if (width && height) {
+    return { width: Math.round(Number(width)), height: Math.round(Number(height)) };
+  }
+
+  const viewBox = root.match(/\sviewBox\s*=\s*["']([^"']+)["']/i)?.[1].trim().split(/[\s,]+/).map(Number);
+  if (viewBox && viewBox.length === 4 && viewBox.every(Number.isFinite)) {
+    return { width: Math.round(viewBox[2]), height: Math.round(viewBox[3]) };
+  }
+  return null;
+};
+
+const DIMENSION_READERS: Record<ImageMimeType, (data: Buffer) => Dimensions | null> = {
+  'image/png': readPngDimensions,
+  'image/jpeg': readJpegDimensions,
+  'image/gif': readGifDimensions,
+  'image/webp': readWebpDimensions,
+  'image/svg+xml': readSvgDimensions,
+};
+
+// Normalise a Content-Type header to its bare MIME type
+const toMimeType = (contentType: string): string => {
+  const mimeType = contentType.split(';')[0].trim().toLowerCase();
+  return mimeType === 'image/jpg' ? 'image/jpeg' : mimeType;
+};
+
+// Check image bytes are a real image of the declared type within the size and dimension limits
+export const inspectImage = (data: Buffer, contentType: string): ImageInfo => {
+  if (data.length === 0) {
+    throw new Error('Invalid image: file is empty');
+  }
+  if (data.length > MAX_IMAGE_BYTES) {
+    throw new Error(`Invalid image: ${data.length} bytes exceeds the ${MAX_IMAGE_BYTES} byte limit`);
+  }
+
+  const declared = toMimeType(contentType);
+  if (!declared.startsWith('image/')) {
+    throw new Error(`Invalid image: content type is ${declared || 'missing'}, expected image/*`);
+  }
+
+  const mimeType = sniffMimeType(data);
+  if (!mimeType) {
+    throw new Error('Invalid image: contents are not a PNG, JPEG, GIF, WebP or SVG image');
+  }
+  if (mimeType !== declared) {
+    throw new Error(`Invalid image: content type is ${declared} but the file is ${mimeType}`);
+  }
+
+  const dimensions = DIMENSION_READERS[mimeType](data);
+  if (!dimensions && mimeType !== 'image/svg+xml') {
+    throw new Error(`Invalid image: could not read ${mimeType} dimensions`);
+  }
+  if (dimensions) {
+    const { width, height } = dimensions;
+    if (width < 1 || height < 1 || width > MAX_IMAGE_DIMENSION || height > MAX_IMAGE_DIMENSION) {
+      throw new Error(`Invalid image: ${width}x${height} is outside the 1x1 to ${MAX_IMAGE_DIMENSION}x${MAX_IMAGE_DIMENSION} limit`);
+    }
+  }
+
+  return {
+    mimeType,
+    size: data.length,
+    width: dimensions?.width ?? null,
+    height: dimensions?.height ?? null,
+    sha256: crypto.createHash('sha256').update(data).digest('hex'),
+  };
+};
+
+// Fetch a metadata image (over http(s), or IPFS/Arweave gateways) and verify it before a token is created with it
+export const verifyTokenImage = async (imageUrl: string): Promise<ImageInfo> => {
+  console.log('Verifying image:', imageUrl);
+
+  let response: SafeFetchResponse;
+  try {
+    ({ result: response } = await fetchFromGateways(imageUrl, (url) => safeFetch(url, { label: 'image', maxBytes: MAX_IMAGE_BYTES })));
+  } catch (error) {
+    if (error instanceof SafeFetchError && error.code === 'RESPONSE_TOO_LARGE') {
+      throw new Error(`Invalid image: exceeds the ${MAX_IMAGE_BYTES} byte limit`);
+    }
+    throw error;
+  }
+
+  const info = { url: imageUrl, ...inspectImage(response.body, response.contentType) };
+  console.log(`Image verified: ${info.mimeType}, ${info.width ?? '?'}x${info.height ?? '?'}, ${info.size} bytes`);
+  return info;
+};
@@ -0,0 +1,235 @@
+import crypto from 'crypto'
+import fs from 'fs'
+import { getDataPath, readJsonFile, writeJsonFile } from './data-store'
+import { MetadataIssue, MetadataValidationError } from './metadata-validation'
+
+// Operations that can run as background jobs
+export type JobType = 'create-token' | 'revoke-authorities';
+export type JobStatus = 'queued' | 'running' | 'succeeded' | 'failed';
+export type JobStepStatus = 'pending' | 'running' | 'done' | 'failed';
+
+// One step of a job, e.g. a transaction it sends
+export interface JobStep {
+  name: string;
+  status: JobStepStatus;
+  signature?: string; // Last transaction sent for the step
+  startedAt?: string;
+  finishedAt?: string;
+}
+
+// Why a job failed, with the same detail the synchronous route would have returned
+export interface JobError {
+  message: string;
+  issues?: MetadataIssue[]; // Every metadata problem, when the metadata was invalid
+}
+
+// A job with the request it was created from
+export interface Job {
+  id: string;
+  type: JobType;
+  status: JobStatus;
+  params: Record<string, unknown>; // Request body the job was created from
+  apiKeyId?: string; // API key that queued the job; only it can read the job
+  steps: JobStep[];
+  result?: unknown;
+  error?: JobError;
+  createdAt: string;
+  updatedAt: string;
+}
+
+// A job as reported by GET /jobs/:id: its progress and outcome, without the request parameters and
+// internal bookkeeping (API key, quota reservation, gateway) they carry
+export type PublicJob = Pick<Job, 'id' | 'type' | 'status' | 'steps' | 'result' | 'error' | 'createdAt' | 'updatedAt'>;
+
+// A job as persisted: the handler's checkpoint holds what it needs to resume, which can include
+// secret keys of accounts it is creating, so it is dropped once the job finishes
+interface StoredJob extends Job {
+  checkpoint: Record<string, unknown>;
+}
+
+// What a handler gets to report progress and save state that has to survive a restart
+export interface JobRun {
+  readonly id: string;
+  readonly params: Record<string, unknown>;
+  readonly checkpoint: Record<string, unknown>; // Mutate, then save()
+  setSteps: (names: string[]) => void; // Steps not yet known are added as pending
+  getStep: (name: string) => JobStep;
+  updateStep: (name: string, update: Partial<Omit<JobStep, 'name'>>) => Promise<void>;
+  save: () => Promise<void>;
+}
+
+export type JobHandler = (run: JobRun) => Promise<unknown>;
+
+const handlers = new Map<JobType, JobHandler>();
+const queue: string[] = [];
+let working = false;
+
+const getJobsDir = (): string => getDataPath('jobs');
+
+// Job ids are UUIDs, which also keeps them from naming a path outside the jobs directory
+const isJobId = (id: string): boolean => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/.test(id);
+
+const writeJob = (job: StoredJob): Promise<void> => writeJsonFile(getDataPath('jobs', `${job.id}.json`), job);
+
+const readJob = async (id: string): Promise<StoredJob | null> => {
+  return isJobId(id) ? readJsonFile<StoredJob>(getDataPath('jobs', `${id}.json`)) : null;
+};
+
+const withoutCheckpoint = ({ checkpoint, ...job }: StoredJob): Job => job;
+
+export const toPublicJob = (job: Job): PublicJob => ({
+  id: job.id,
+  type: job.type,
+  status: job.status,
+  steps: job.steps,
+  result: job.result,
+  error: job.error,
+  createdAt: job.createdAt,
+  updatedAt: job.updatedAt,
+});
+
+export const registerJobHandler = (type: JobType, handler: JobHandler): void => {
+  handlers.set(type, handler);
+};
+
+// Persist a new job and queue it for the worker
+export const enqueueJob = async (type: JobType, params: Record<string, unknown>, apiKeyId?: string): Promise<Job> => {
+  const now = new Date().toISOString();
+  const job: StoredJob = {
+    id: crypto.randomUUID(),
+    type,
+    status: 'queued',
+    params,
+    apiKeyId,
+    steps: [],
+    createdAt: now,
+    updatedAt: now,
+    checkpoint: {},
+  };
+  await writeJob(job);
+  console.log(`📋 Queued ${type} job ${job.id}`);
+
+  queue.push(job.id);
+  void processQueue();
+  return withoutCheckpoint(job);
+};
+
+export const getJob = async (id: string): Promise<Job | null> => {
+  const job = await readJob(id);
+  return job && withoutCheckpoint(job);
+};
+
+const runJob = async (job: StoredJob): Promise<void> => {
+  const handler = handlers.get(job.type);
+  const save = async (): Promise<void> => {
+    job.updatedAt = new Date().toISOString();
+    await writeJob(job);
+  };
+  const getStep = (name: string): JobStep => {
+    const step = job.steps.find((candidate) => candidate.name === name);
+    if (!step) {
+      throw new Error(`Unknown job step: ${name}`);
+    }
+    return step;
+  };
+
+  const run: JobRun = {
+    id: job.id,
+    params: job.params,
+    checkpoint: job.checkpoint,
+    setSteps: (names) => {
+      for (const name of names) {
+        if (!job.steps.some((step) => step.name === name)) {
+          job.steps.push({ name, status: 'pending' });
+        }
+      }
+    },
+    getStep,
+    updateStep: async (name, update) => {
+      const step = getStep(name);
+      if (update.status === 'running' && !step.startedAt) {
+        step.startedAt = new Date().toISOString();
+      }
+      if (update.status === 'done' || update.status === 'failed') {
+        step.finishedAt = new Date().toISOString();
+      }
+      Object.assign(step, update);
+      await save();
+    },
+    save,
+  };
+
+  // A job that was running when the server stopped resumes from its checkpoint
+  console.log(`${job.status === 'running' ? '🔁 Resuming' : '▶️  Starting'} ${job.type} job ${job.id}`);
+  job.status = 'running';
+  await save();
+
+  try {
+    if (!handler) {
+      throw new Error(`No handler for ${job.type} jobs`);
+    }
+    job.result = await handler(run);
+    job.status = 'succeeded';
+    console.log(`✅ Job ${job.id} succeeded`);
+  } catch (error) {
+    job.status = 'failed';
+    job.error = {
+      message: error instanceof Error ? error.message : String(error),
+      issues: error instanceof MetadataValidationError ? error.issues : undefined,
+    };
+    for (const step of job.steps.filter(({ status }) => status === 'running')) {
+      step.status = 'failed';
+      step.finishedAt = new Date().toISOString();
+    }
+    console.error(`❌ Job ${job.id} failed:`, job.error.message);
+  }
+
+  job.checkpoint = {};
+  await save();
+};
+
+// Run queued jobs one at a time, in the order they were queued
+const processQueue = async (): Promise<void> => {
+  if (working) {
+    return;
+  }
+  working = true;
+  try {
+    while (queue.length > 0) {
+      const id = queue.shift() as string;
+      try {
+        const job = await readJob(id);
+        if (job && (job.status === 'queued' || job.status === 'running')) {
+          await runJob(job);
+        }
+      } catch (error) {
+        // Persisting the job itself failed; it stays unfinished on disk and resumes on the next start
+        console.error(`Error running job ${id}:`, error);
+      }
+    }
+  } finally {
+    working = false;
+  }
+};
+
+// Queue every job that had not finished when the server last stopped, oldest first
+export const startJobWorker = async (): Promise<number> => {
+  const dir = getJobsDir();
+  await fs.promises.mkdir(dir, { recursive: true });
+
+  const unfinished: StoredJob[] = [];
+  for (const file of await fs.promises.readdir(dir)) {
+    if (!file.endsWith('.json')) {
+      continue;
+    }
+    const job = await readJob(file.slice(0, -'.json'.length));
+    if (job && (job.status === 'queued' || job.status === 'running')) {
+      unfinished.push(job);
+    }
+  }
+
+  unfinished.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  queue.push(...unfinished.map(({ id }) => id).filter((id) => !queue.includes(id)));
+  void processQueue();
+  return unfinished.length;
+};
@@ -0,0 +1,79 @@
+import { parseArgs } from 'util'
+import { ApiKeyLimits, createApiKey, listApiKeys, readApiKeyUsage, revokeApiKey, setApiKeyLimits } from './api-keys'
+
+// Admin CLI for API keys. Keys live in the data directory, so run it with the server's DATA_DIR
+const USAGE = `Usage: npm run api-keys -- <command>
+
+  create <name> [--tokens-per-day N] [--lamports-per-day N]
+  list
+  revoke <id>
+  set-limits <id> [--tokens-per-day N|none] [--lamports-per-day N|none]`;
+
+// A limit flag: a non-negative integer, "none" to remove it (set-limits only), or unset
+const parseLimit = (name: string, value: string | undefined, allowNone: boolean): number | null | undefined => {
+  if (value === undefined) {
+    return undefined;
+  }
+  if (allowNone && value === 'none') {
+    return null;
+  }
+  if (!/^\d+$/.test(value) || !Number.isSafeInteger(Number(value))) {
+    throw new Error(`--${name} must be a non-negative integer${allowNone ? ' or "none"' : ''}`);
+  }
+  return Number(value);
+};
+
+const formatLimit = (limit: number | undefined): string => (limit === undefined ? 'unlimited' : String(limit));
+
+const main = async () => {
+  const { positionals, values } = parseArgs({
+    allowPositionals: true,
+    options: {
+      'tokens-per-day': { type: 'string' },
+      'lamports-per-day': { type: 'string' },
+    },
+  });
+  const [command, argument] = positionals;
+
+  if (command === 'create' && argument) {
+    const tokensPerDay = parseLimit('tokens-per-day', values['tokens-per-day'], false);
+    const lamportsPerDay = parseLimit('lamports-per-day', values['lamports-per-day'], false);
+    const limits: ApiKeyLimits = {
+      ...(typeof tokensPerDay === 'number' && { tokensPerDay }),
+      ...(typeof lamportsPerDay === 'number' && { lamportsPerDay }),
+    };
+    const { key, record } = await createApiKey(argument, limits);
+    console.log(`🔑 Created API key ${record.id} (${record.name})`);
+    console.log(`   Key: ${key}`);
+    console.log('\nIMPORTANT: This is the only time the key is shown. Only its hash is stored.');
+  } else if (command === 'list') {
+    const [keys, usage] = await Promise.all([listApiKeys(), readApiKeyUsage()]);
+    if (keys.length === 0) {
+      console.log('No API keys yet. Create one with: npm run api-keys -- create <name>');
+    }
+    const today = new Date().toISOString().slice(0, 10);
+    for (const key of keys) {
+      const used = usage[key.id]?.date === today ? usage[key.id] : undefined;
+      console.log(`${key.id}  ${key.hint}...  ${key.name}${key.revokedAt ? `  (revoked ${key.revokedAt})` : ''}`);
+      console.log(`   Created: ${key.createdAt}   Last used: ${usage[key.id]?.lastUsedAt ?? 'never'}`);
+      console.log(`   Today: ${used?.tokensCreated ?? 0}/${formatLimit(key.limits.tokensPerDay)} tokens, ${used?.lamportsSpent ?? 0}/${formatLimit(key.limits.lamportsPerDay)} lamports`);
+    }
+  } else if (command === 'revoke' && argument) {
+    const record = await revokeApiKey(argument);
+    console.log(`🔒 Revoked API key ${record.id} (${record.name})`);
+  } else if (command === 'set-limits' && argument) {
+    const record = await setApiKeyLimits(argument, {
+      tokensPerDay: parseLimit('tokens-per-day', values['tokens-per-day'], true),
+      lamportsPerDay: parseLimit('lamports-per-day', values['lamports-per-day'], true),
+    });
+    console.log(`✅ Limits of ${record.id}: ${formatLimit(record.limits.tokensPerDay)} tokens/day, ${formatLimit(record.limits.lamportsPerDay)} lamports/day`);
+  } else {
+    console.log(USAGE);
+    process.exitCode = 1;
+  }
+};
+
+main().catch((error) => {
+  console.error('❌', error instanceof Error ? error.message : error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,134 @@
+import { isValidContentUri } from './content-uri'
+import { TokenMetadata } from './create-token'
+
+// Metaplex on-chain limits (in UTF-8 bytes); Token-2022 metadata is held to the same limits
+export const MAX_NAME_BYTES = 32;
+export const MAX_SYMBOL_BYTES = 10;
+export const MAX_URI_BYTES = 200;
+
+// A single problem with a metadata document, keyed by its field path (e.g. "creator.site")
+export interface MetadataIssue {
+  path: string;
+  message: string;
+}
+
+// Options for metadata validation
+export interface MetadataValidationOptions {
+  uri?: string; // The URI that will be stored on-chain, checked against MAX_URI_BYTES
+  requireImage?: boolean; // Defaults to true; false when the image is uploaded afterwards
+}
+
+// Thrown when metadata fails validation; the message keeps the "Invalid metadata" prefix routes match on
+export class MetadataValidationError extends Error {
+  issues: MetadataIssue[];
+
+  constructor(issues: MetadataIssue[]) {
+    super(`Invalid metadata: ${issues.map((issue) => `${issue.path} ${issue.message}`).join('; ')}`);
+    this.name = 'MetadataValidationError';
+    this.issues = issues;
+  }
+}
+
+const byteLength = (value: string): number => Buffer.byteLength(value, 'utf8');
+
+const parseHttpUrl = (value: string): URL | null => {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:' ? url : null;
+  } catch {
+    return null;
+  }
+};
+
+// True when the URL's host is one of the domains or a subdomain of them
+const hasHost = (url: URL, domains: string[]): boolean => {
+  const host = url.hostname.toLowerCase();
+  return domains.some((domain) => host === domain || host.endsWith(`.${domain}`));
+};
+
+// Social links accept either a full URL on the network's domains or a bare handle
+const SOCIAL_FORMATS = {
+  twitter: { domains: ['twitter.com', 'x.com'], handle: /^@?[A-Za-z0-9_]{1,15}$/, description: 'a twitter.com / x.com URL or @handle' },
+  telegram: { domains: ['t.me', 'telegram.me'], handle: /^@?[A-Za-z0-9_]{5,32}$/, description: 'a t.me URL or @handle' },
+  discord: { domains: ['discord.gg', 'discord.com', 'discordapp.com'], handle: null, description: 'a discord.gg or discord.com invite URL' },
+} as const;
+
+// Check a metadata document against the fields and limits token creation relies on, reporting every problem
+export const getMetadataIssues = (metadata: any, options: MetadataValidationOptions = {}): MetadataIssue[] => {
+  const { uri, requireImage = true } = options;
+  const issues: MetadataIssue[] = [];
+
+  if (typeof metadata !== 'object' || metadata === null || Array.isArray(metadata)) {
+    return [{ path: '(root)', message: 'must be a JSON object' }];
+  }
+
+  const requireString = (field: string, maxBytes?: number) => {
+    const value = metadata[field];
+    if (value === undefined || value === null) {
+      issues.push({ path: field, message: 'is required' });
+    } else if (typeof value !== 'string') {
+      issues.push({ path: field, message: 'must be a string' });
+    } else if (value.trim() === '') {
+      issues.push({ path: field, message: 'must not be empty' });
+    } else if (maxBytes !== undefined && byteLength(value) > maxBytes) {
+      issues.push({ path: field, message: `must be at most ${maxBytes} bytes (got ${byteLength(value)})` });
+    }
+  };
+
+  requireString('name', MAX_NAME_BYTES);
+  requireString('symbol', MAX_SYMBOL_BYTES);
+  requireString('description');
+
+  if (requireImage || metadata.image !== undefined) {
+    requireString('image');
+    if (typeof metadata.image === 'string' && metadata.image.trim() !== '' && !isValidContentUri(metadata.image)) {
+      issues.push({ path: 'image', message: 'must be an http(s) URL, an ipfs:// or ar:// URI, or an IPFS CID' });
+    }
+  }
+
+  if (uri !== undefined && byteLength(uri) > MAX_URI_BYTES) {
+    issues.push({ path: 'uri', message: `must be at most ${MAX_URI_BYTES} bytes (got ${byteLength(uri)})` });
+  }
+
+  if (metadata.creator !== undefined) {
+    const { creator } = metadata;
+    if (typeof creator !== 'object' || creator === null || Array.isArray(creator)) {
+      issues.push({ path: 'creator', message: 'must be an object with name and site' });
+    } else {
+      if (typeof creator.name !== 'string' || creator.name.trim() === '') {
+        issues.push({ path: 'creator.name', message: 'must be a non-empty string' });
+      }
+      if (typeof creator.site !== 'string' || !parseHttpUrl(creator.site)) {
+        issues.push({ path: 'creator.site', message: 'must be an http(s) URL' });
+      }
+    }
+  }
+
+  if (metadata.external_url !== undefined && (typeof metadata.external_url !== 'string' || !parseHttpUrl(metadata.external_url))) {
+    issues.push({ path: 'external_url', message: 'must be an http(s) URL' });
+  }
+
+  for (const [field, format] of Object.entries(SOCIAL_FORMATS)) {
+    const value = metadata[field];
+    if (value === undefined) {
+      continue;
+    }
+    const url = typeof value === 'string' ? parseHttpUrl(value) : null;
+    const valid = typeof value === 'string' && (
+      url ? hasHost(url, [...format.domains]) : format.handle !== null && format.handle.test(value)
+    );
+    if (!valid) {
+      issues.push({ path: field, message: `must be ${format.description}` });
+    }
+  }
+
+  return issues;
+};
+
+// Throw a MetadataValidationError listing every problem, or narrow the value to TokenMetadata
+export function assertValidMetadata(metadata: any, options: MetadataValidationOptions = {}): asserts metadata is TokenMetadata {
+  const issues = getMetadataIssues(metadata, options);
+  if (issues.length > 0) {
+    throw new MetadataValidationError(issues);
+  }
+}
@@ -0,0 +1,36 @@
+import { Connection, PublicKey } from '@solana/web3.js'
+import { getTokenProgramName, TokenProgram } from './token-2022'
+
+// Parsed mint account as returned by the jsonParsed RPC encoding
+export interface ParsedMint {
+  address: PublicKey;
+  programId: PublicKey;
+  program: TokenProgram;
+  info: {
+    decimals: number;
+    supply: string; // Base units
+    mintAuthority: string | null;
+    freezeAuthority: string | null;
+    isInitialized: boolean;
+    extensions?: { extension: string; state: any }[];
+  };
+}
+
+// Fetch a mint's parsed account data, detecting which token program owns it
+export const getParsedMint = async (connection: Connection, mintAddress: string | PublicKey): Promise<ParsedMint> => {
+  const address = new PublicKey(mintAddress);
+  const mintInfo = await connection.getParsedAccountInfo(address);
+
+  if (!mintInfo.value || !mintInfo.value.data || typeof mintInfo.value.data !== 'object' || !('parsed' in mintInfo.value.data)) {
+    throw new Error('Could not fetch mint information');
+  }
+
+  // Classic SPL and Token-2022 mints share the authority layout but need their own program id
+  const programId = mintInfo.value.owner;
+  const program = getTokenProgramName(programId);
+  if (!program || mintInfo.value.data.parsed.type !== 'mint') {
+    throw new Error('Could not fetch mint information: account is not a token mint');
+  }
+
+  return { address, programId, program, info: mintInfo.value.data.parsed.info };
+};
@@ -0,0 +1,29 @@
+import {
+  createAssociatedTokenAccountIdempotentInstruction,
+  createMintToInstruction,
+  getAssociatedTokenAddressSync,
+  TOKEN_PROGRAM_ID,
+} from '@solana/spl-token'
+import { PublicKey, TransactionInstruction } from '@solana/web3.js'
+import { AuthoritySigner } from './multisig'
+
+// Instructions that create the recipient's token account (if missing) and mint the supply into it
+// (the payer is the mint authority unless a multisig authority is given). The recipient may be off-curve,
+// e.g. a PDA or program-owned vault.
+export const buildMintToInstructions = (
+  payer: PublicKey,
+  mint: PublicKey,
+  recipient: PublicKey,
+  amount: bigint,
+  programId: PublicKey = TOKEN_PROGRAM_ID,
+  authority: AuthoritySigner = { authority: payer, multiSigners: [] }
+): { tokenAccount: PublicKey; instructions: TransactionInstruction[] } => {
+  const tokenAccount = getAssociatedTokenAddressSync(mint, recipient, true, programId);
+  return {
+    tokenAccount,
+    instructions: [
+      createAssociatedTokenAccountIdempotentInstruction(payer, tokenAccount, recipient, mint, programId),
+      createMintToInstruction(mint, tokenAccount, authority.authority, amount, authority.multiSigners, programId),
+    ],
+  };
+};
@@ -0,0 +1,100 @@
+import { PublicKey } from '@solana/web3.js'
+import { getExplorerUrl } from './config'
+import { getParsedMint } from './mint-account'
+import { buildMintToInstructions } from './mint-instructions'
+import { PendingSignatures, resolveAuthoritySigner, sendOrCollectSignatures } from './multisig'
+import { getConnection, getPayerKeypair } from './solana'
+import { formatTokenAmount, MAX_U64, parseTokenAmount } from './token-amount'
+import { TokenProgram } from './token-2022'
+import { recordTokenTransactions } from './token-registry'
+
+// Token minting result interface
+export interface MintTokensResult {
+  mintAddress: string;
+  recipient: string;
+  associatedTokenAddress: string;
+  amount: string; // Decimal amount minted
+  decimals: number;
+  supply: string; // Decimal total supply after minting
+  signature: string;
+  explorerUrl: string;
+  program: TokenProgram;
+}
+
+// Minting that waits for multisig members to sign and /submit the transaction
+export interface PendingMintTokens extends Omit<MintTokensResult, 'supply' | 'signature' | 'explorerUrl'> {
+  pendingSignatures: PendingSignatures;
+}
+
+// Mint additional tokens to a recipient, for tokens whose mint authority is still our wallet
+// or a multisig the given members (or our wallet alone, for 1-of-N) can sign for
+export const mintTokens = async (
+  mintAddress: string,
+  amount: string,
+  recipientAddress: string,
+  multisigSigners?: string[]
+): Promise<MintTokensResult | PendingMintTokens> => {
+  try {
+    const connection = getConnection();
+    const web3Keypair = getPayerKeypair();
+
+    // Get mint info to check the current mint authority
+    const { address: mint, programId, program, info: mintData } = await getParsedMint(connection, mintAddress);
+    console.log('Current mint authority:', mintData.mintAuthority);
+
+    if (!mintData.mintAuthority) {
+      throw new Error('Not mint authority: mint authority has been revoked');
+    }
+    const authority = await resolveAuthoritySigner(connection, mintData.mintAuthority, programId, multisigSigners);
+    if (!authority) {
+      throw new Error(`Not mint authority: mint authority is ${mintData.mintAuthority}`);
+    }
+
+    const baseUnits = parseTokenAmount(amount, mintData.decimals);
+    if (baseUnits === 0n) {
+      throw new Error('Invalid amount: must be greater than zero');
+    }
+    if (BigInt(mintData.supply) + baseUnits > MAX_U64) {
+      throw new Error('Invalid amount: minting would exceed the maximum token supply');
+    }
+
+    // Create the recipient's token account if missing and mint in one transaction
+    const recipient = new PublicKey(recipientAddress);
+    const { tokenAccount, instructions } = buildMintToInstructions(web3Keypair.publicKey, mint, recipient, baseUnits, programId, authority);
+
+    console.log(`🪙 Minting ${formatTokenAmount(baseUnits, mintData.decimals)} tokens to ${recipient.toString()}...`);
+    const outcome = await sendOrCollectSignatures(connection, 'mintTo', instructions, [authority], { mintAddress: mint.toString() });
+    if ('pendingSignatures' in outcome) {
+      return {
+        mintAddress: mint.toString(),
+        recipient: recipient.toString(),
+        associatedTokenAddress: tokenAccount.toString(),
+        amount: formatTokenAmount(baseUnits, mintData.decimals),
+        decimals: mintData.decimals,
+        program,
+        pendingSignatures: outcome.pendingSignatures
+      };
+    }
+    const { signature } = outcome;
+    console.log('✅ Tokens minted successfully!');
+    console.log('📝 Transaction signature:', signature);
+    await recordTokenTransactions(mint.toString(), 'mintTo', [signature]);
+
+    const supply = await connection.getTokenSupply(mint);
+
+    return {
+      mintAddress: mint.toString(),
+      recipient: recipient.toString(),
+      associatedTokenAddress: tokenAccount.toString(),
+      amount: formatTokenAmount(baseUnits, mintData.decimals),
+      decimals: mintData.decimals,
+      supply: formatTokenAmount(BigInt(supply.value.amount), mintData.decimals),
+      signature,
+      explorerUrl: getExplorerUrl('tx', signature),
+      program
+    };
+  } catch (error) {
+    console.error('Error minting tokens:', error);
+    throw error;
+  }
+};
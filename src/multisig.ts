@@ -0,0 +1,135 @@
+import {
+  createInitializeMultisigInstruction,
+  getMinimumBalanceForRentExemptMultisig,
+  MULTISIG_SIZE
+} from '@solana/spl-token'
+import {
+  Connection,
+  PublicKey,
+  SystemProgram,
+  Transaction,
+  TransactionInstruction,
+  sendAndConfirmTransaction
+} from '@solana/web3.js'
+import { getPayerKeypair } from './solana'
+import { issueTransactions, PreparedTransactions } from './unsigned-transactions'
+
+// Most signers an SPL Token multisig account can hold
+export const MAX_MULTISIG_SIGNERS = 11;
+
+// An SPL Token multisig account: any `threshold` of `signers` together act as the authority
+export interface MultisigInfo {
+  address: string;
+  threshold: number;
+  signers: string[];
+}
+
+// Multisig to use as mint and freeze authority: an existing account, or signers for a new one
+export interface MultisigOptions {
+  address?: string;
+  signers?: string[];
+  threshold?: number;
+}
+
+// How an authority signs: our wallet directly (no multiSigners), or a multisig through these members
+export interface AuthoritySigner {
+  authority: PublicKey;
+  multiSigners: PublicKey[];
+  multisig?: MultisigInfo;
+}
+
+// An operation that needs signatures from multisig members before it can be sent
+export interface PendingSignatures extends PreparedTransactions {
+  multisigs: MultisigInfo[];
+}
+
+// Fetch an SPL Token multisig account, or null when the address is not one
+export const getMultisig = async (connection: Connection, address: string | PublicKey, programId: PublicKey): Promise<MultisigInfo | null> => {
+  const accountInfo = await connection.getParsedAccountInfo(new PublicKey(address));
+  const data = accountInfo.value?.data;
+  if (!accountInfo.value?.owner.equals(programId) || !data || typeof data !== 'object' || !('parsed' in data) || data.parsed.type !== 'multisig') {
+    return null;
+  }
+  const { numRequiredSigners, signers } = data.parsed.info;
+  return { address: new PublicKey(address).toString(), threshold: numRequiredSigners, signers };
+};
+
+// Instructions that create and initialize a new M-of-N multisig account
+export const buildCreateMultisigInstructions = async (
+  connection: Connection,
+  payer: PublicKey,
+  multisig: PublicKey,
+  signers: PublicKey[],
+  threshold: number,
+  programId: PublicKey
+): Promise<TransactionInstruction[]> => {
+  return [
+    SystemProgram.createAccount({
+      fromPubkey: payer,
+      newAccountPubkey: multisig,
+      space: MULTISIG_SIZE,
+      lamports: await getMinimumBalanceForRentExemptMultisig(connection),
+      programId,
+    }),
+    createInitializeMultisigInstruction(multisig, signers, threshold, programId),
+  ];
+};
+
+// Work out how to sign for the current holder of an authority. Multisig authorities sign through the
+// given members, or through our wallet alone when it is a member of a 1-of-N multisig.
+// Returns null when neither our wallet nor a multisig can act for it.
+export const resolveAuthoritySigner = async (
+  connection: Connection,
+  currentAuthority: string,
+  programId: PublicKey,
+  multisigSigners?: string[]
+): Promise<AuthoritySigner | null> => {
+  const wallet = getPayerKeypair().publicKey;
+  if (currentAuthority === wallet.toString()) {
+    return { authority: wallet, multiSigners: [] };
+  }
+
+  const multisig = await getMultisig(connection, currentAuthority, programId);
+  if (!multisig) {
+    return null;
+  }
+
+  const chosen = multisigSigners ?? (multisig.threshold === 1 && multisig.signers.includes(wallet.toString()) ? [wallet.toString()] : null);
+  if (!chosen) {
+    throw new Error(`Multisig signers required: ${currentAuthority} is a ${multisig.threshold}-of-${multisig.signers.length} multisig; pass multisigSigners chosen from ${multisig.signers.join(', ')}`);
+  }
+  const outsider = chosen.find((signer) => !multisig.signers.includes(signer));
+  if (outsider) {
+    throw new Error(`Invalid multisig signers: ${outsider} is not a member of multisig ${currentAuthority}`);
+  }
+  if (new Set(chosen).size < multisig.threshold) {
+    throw new Error(`Invalid multisig signers: multisig ${currentAuthority} needs ${multisig.threshold} distinct signers`);
+  }
+
+  return { authority: new PublicKey(currentAuthority), multiSigners: [...new Set(chosen)].map((signer) => new PublicKey(signer)), multisig };
+};
+
+// Send the instructions when our wallet holds every needed key; otherwise issue the transaction,
+// signed by our wallet, for the other multisig members to sign and /submit. It uses a durable nonce
+// rather than a recent blockhash, so members have days rather than a minute to sign
+export const sendOrCollectSignatures = async (
+  connection: Connection,
+  step: string,
+  instructions: TransactionInstruction[],
+  signers: AuthoritySigner[],
+  context: Record<string, string> = {}
+): Promise<{ signature: string } | { pendingSignatures: PendingSignatures }> => {
+  const web3Keypair = getPayerKeypair();
+  const coSigners = [...new Set(signers.flatMap(({ multiSigners }) => multiSigners.map((member) => member.toString())))]
+    .filter((member) => member !== web3Keypair.publicKey.toString());
+
+  if (coSigners.length === 0) {
+    const signature = await sendAndConfirmTransaction(connection, new Transaction().add(...instructions), [web3Keypair]);
+    return { signature };
+  }
+
+  console.log(`✍️  Waiting for ${coSigners.length} multisig signer(s): ${coSigners.join(', ')}`);
+  const prepared = await issueTransactions(web3Keypair.publicKey, [{ step, instructions, signers: [web3Keypair] }], context, { durableNonce: true });
+  const multisigs = signers.flatMap(({ multisig }) => (multisig ? [multisig] : []));
+  return { pendingSignatures: { ...prepared, multisigs } };
+};
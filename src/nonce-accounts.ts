@@ -0,0 +1,88 @@
+import {
+  Keypair,
+  NONCE_ACCOUNT_LENGTH,
+  PublicKey,
+  SystemProgram,
+  sendAndConfirmTransaction
+} from '@solana/web3.js'
+import { createJsonStore } from './data-store'
+import { getConnection, getPayerKeypair } from './solana'
+
+// A durable nonce account owned by the service wallet. Each one backs at most one issued
+// transaction at a time, since landing that transaction advances the nonce
+interface NonceAccountRecord {
+  address: string;
+  inUse: boolean;
+}
+
+interface NonceAccountsFile {
+  accounts: NonceAccountRecord[];
+}
+
+// A nonce account reserved for a transaction, with the nonce to use in place of a blockhash
+export interface ReservedNonce {
+  nonceAccount: string;
+  nonce: string;
+}
+
+const store = createJsonStore<NonceAccountsFile>('nonce-accounts.json', () => ({ accounts: [] }));
+
+// Create a nonce account with the service wallet as its authority. The account's own key is only
+// needed to create it, so it is not kept
+const createNonceAccount = async (): Promise<string> => {
+  const connection = getConnection();
+  const web3Keypair = getPayerKeypair();
+  const nonceKeypair = Keypair.generate();
+
+  const transaction = SystemProgram.createNonceAccount({
+    fromPubkey: web3Keypair.publicKey,
+    noncePubkey: nonceKeypair.publicKey,
+    authorizedPubkey: web3Keypair.publicKey,
+    lamports: await connection.getMinimumBalanceForRentExemption(NONCE_ACCOUNT_LENGTH),
+  });
+  await sendAndConfirmTransaction(connection, transaction, [web3Keypair, nonceKeypair]);
+  console.log(`🔢 Created nonce account ${nonceKeypair.publicKey.toString()}`);
+  return nonceKeypair.publicKey.toString();
+};
+
+// The current nonce of an account, or null when it is not a nonce account (any more)
+export const getCurrentNonce = async (nonceAccount: string): Promise<string | null> => {
+  const account = await getConnection().getNonce(new PublicKey(nonceAccount));
+  return account?.nonce ?? null;
+};
+
+// Reserve a free nonce account, creating one when all are in use
+export const reserveNonceAccount = async (): Promise<ReservedNonce> => {
+  let nonceAccount = await store.update(({ accounts }) => {
+    const free = accounts.find((account) => !account.inUse);
+    if (free) {
+      free.inUse = true;
+    }
+    return free?.address;
+  });
+  if (!nonceAccount) {
+    const created = await createNonceAccount();
+    await store.update(({ accounts }) => accounts.push({ address: created, inUse: true }));
+    nonceAccount = created;
+  }
+
+  const nonce = await getCurrentNonce(nonceAccount);
+  if (!nonce) {
+    await store.update(({ accounts }) => {
+      const index = accounts.findIndex((account) => account.address === nonceAccount);
+      accounts.splice(index, 1);
+    });
+    throw new Error(`Nonce account ${nonceAccount} no longer exists`);
+  }
+  return { nonceAccount, nonce };
+};
+
+// Free a nonce account once its transaction has landed or been dropped
+export const releaseNonceAccount = async (nonceAccount: string): Promise<void> => {
+  await store.update(({ accounts }) => {
+    const account = accounts.find((candidate) => candidate.address === nonceAccount);
+    if (account) {
+      account.inUse = false;
+    }
+  });
+};
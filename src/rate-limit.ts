@@ -0,0 +1,121 @@
+import express from 'express'
+
+// Retry-After sent when every operation slot is taken; a creation usually finishes within a few seconds
+const BUSY_RETRY_AFTER_SECONDS = 5;
+
+// Options for a per-client request limit
+export interface RateLimitOptions {
+  windowMs: number;
+  max: number; // Requests per window (0 = no limit)
+  keyOf: (req: express.Request, res: express.Response) => string | undefined; // Who is counted; undefined skips the limit
+  message: string;
+}
+
+// Options for the cap on operations running at once
+export interface ConcurrencyLimitOptions {
+  maxInFlight: number;
+  maxQueued: number; // Requests waiting for a slot before new ones are refused
+  queueTimeoutMs: number;
+}
+
+const sendTooManyRequests = (res: express.Response, retryAfterSeconds: number, error: string) => {
+  res.set('Retry-After', String(retryAfterSeconds));
+  res.status(429).json({ success: false, error });
+};
+
+// Fixed-window request limit per client (IP address, API key, ...). Every response carries the
+// RateLimit-* headers, and requests past the limit get 429 with Retry-After until the window ends
+export const createRateLimiter = ({ windowMs, max, keyOf, message }: RateLimitOptions): express.RequestHandler => {
+  const windows = new Map<string, { count: number; resetAt: number }>();
+
+  // Drop finished windows so clients that went away are not kept forever
+  setInterval(() => {
+    const now = Date.now();
+    for (const [key, window] of windows) {
+      if (window.resetAt <= now) {
+        windows.delete(key);
+      }
+    }
+  }, windowMs).unref();
+
+  return (req, res, next) => {
+    const key = keyOf(req, res);
+    if (max === 0 || key === undefined) {
+      return next();
+    }
+
+    const now = Date.now();
+    let window = windows.get(key);
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + windowMs };
+      windows.set(key, window);
+    }
+    window.count++;
+
+    const resetSeconds = Math.ceil((window.resetAt - now) / 1000);
+    res.set({
+      'RateLimit-Limit': String(max),
+      'RateLimit-Remaining': String(Math.max(0, max - window.count)),
+      'RateLimit-Reset': String(resetSeconds),
+    });
+    if (window.count > max) {
+      return sendTooManyRequests(res, resetSeconds, message);
+    }
+    next();
+  };
+};
+
+// Let at most maxInFlight operations run at once. Others wait in order for a free slot, and are
+// refused with 429 when the queue is full or the wait times out. It wraps the route handler and frees
+// the slot once the handler has finished, so a client that goes away cannot free it early
+export const createConcurrencyLimiter = ({ maxInFlight, maxQueued, queueTimeoutMs }: ConcurrencyLimitOptions) => {
+  let inFlight = 0;
+  const waiting: (() => void)[] = [];
+
+  // Hand the slot straight to the next waiting request, if any
+  const release = () => {
+    const resume = waiting.shift();
+    if (resume) {
+      resume();
+    } else {
+      inFlight--;
+    }
+  };
+
+  return (handler: express.RequestHandler): express.RequestHandler => (req, res, next) => {
+    const start = () => {
+      Promise.resolve()
+        .then(() => handler(req, res, next))
+        .catch(next)
+        .finally(release);
+    };
+
+    if (inFlight < maxInFlight) {
+      inFlight++;
+      return start();
+    }
+    if (waiting.length >= maxQueued) {
+      return sendTooManyRequests(res, BUSY_RETRY_AFTER_SECONDS, 'Server busy: too many operations in progress, try again shortly');
+    }
+
+    const leave = () => {
+      clearTimeout(timer);
+      res.off('close', leave);
+      const index = waiting.indexOf(resume);
+      if (index !== -1) {
+        waiting.splice(index, 1);
+      }
+    };
+    const resume = () => {
+      leave();
+      start();
+    };
+    const timer = setTimeout(() => {
+      leave();
+      sendTooManyRequests(res, BUSY_RETRY_AFTER_SECONDS, `Server busy: no operation slot became free within ${queueTimeoutMs}ms, try again shortly`);
+    }, queueTimeoutMs);
+
+    waiting.push(resume);
+    res.once('close', leave); // The client gave up while waiting
+  };
+};
@@ -0,0 +1,221 @@
+import dns from 'dns'
+import http from 'http'
+import https from 'https'
+import net from 'net'
+import fetch, { FetchError, Response } from 'node-fetch'
+import { getConfig } from './config'
+
+// Distinct reasons a fetch of a caller-supplied URL can fail
+export type SafeFetchErrorCode =
+  | 'INVALID_URL'
+  | 'BLOCKED_DESTINATION'
+  | 'DNS_LOOKUP_FAILED'
+  | 'TOO_MANY_REDIRECTS'
+  | 'TIMEOUT'
+  | 'RESPONSE_TOO_LARGE'
+  | 'HTTP_ERROR'
+  | 'INVALID_CONTENT_TYPE'
+  | 'INVALID_JSON'
+  | 'NETWORK_ERROR';
+
+// Thrown for every fetch failure; the message starts with "Failed to fetch <label>" for the routes to match on
+export class SafeFetchError extends Error {
+  code: SafeFetchErrorCode;
+
+  constructor(label: string, code: SafeFetchErrorCode, detail: string) {
+    super(`Failed to fetch ${label}: ${detail}`);
+    this.name = 'SafeFetchError';
+    this.code = code;
+  }
+}
+
+// Per-call overrides of the configured fetch limits
+export interface SafeFetchOptions {
+  label?: string; // What is being fetched, for error messages (defaults to "URL")
+  maxBytes?: number;
+  timeoutMs?: number;
+  maxRedirects?: number;
+  allowTextPlain?: boolean; // JSON only: also accept text/plain (IPFS gateways often serve JSON that way)
+}
+
+// A fully read response
+export interface SafeFetchResponse {
+  url: string; // Final URL after redirects
+  status: number;
+  contentType: string;
+  body: Buffer;
+}
+
+// Addresses a caller-supplied URL must never reach: loopback, private, link-local, CGNAT, multicast and reserved ranges,
+// plus the IPv6 forms that embed an IPv4 address (IPv4-compatible, NAT64 and 6to4)
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [prefix, bits] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+  ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4],
+] as const) {
+  BLOCKED_ADDRESSES.addSubnet(prefix, bits, 'ipv4');
+}
+for (const [prefix, bits] of [
+  ['::', 96], ['64:ff9b::', 96], ['100::', 64], ['2001:db8::', 32], ['2002::', 16],
+  ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+] as const) {
+  BLOCKED_ADDRESSES.addSubnet(prefix, bits, 'ipv6');
+}
+
+// Error code our lookup uses so blocked destinations can be told apart from DNS failures
+const BLOCKED_LOOKUP_CODE = 'EBLOCKEDDESTINATION';
+
+// True when an IP address is in a blocked range (IPv4-mapped IPv6 addresses are checked as IPv4)
+export const isBlockedAddress = (address: string): boolean => {
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) {
+    return BLOCKED_ADDRESSES.check(mapped[1], 'ipv4');
+  }
+  const family = net.isIP(address);
+  if (family === 0) {
+    return true;
+  }
+  return BLOCKED_ADDRESSES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+// DNS lookup that refuses to connect to blocked addresses. It runs for every connection, so every
+// redirect hop is checked against the address actually connected to (no DNS-rebinding window).
+const safeLookup: net.LookupFunction = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      callback(error, '', 4);
+      return;
+    }
+    const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+    if (blocked || addresses.length === 0) {
+      const blockedError: NodeJS.ErrnoException = new Error(`${hostname} resolves to blocked address ${blocked?.address ?? '(none)'}`);
+      blockedError.code = BLOCKED_LOOKUP_CODE;
+      callback(blockedError, '', 4);
+      return;
+    }
+    if ((options as dns.LookupOptions).all) {
+      (callback as unknown as (err: null, addresses: dns.LookupAddress[]) => void)(null, addresses);
+    } else {
+      callback(null, addresses[0].address, addresses[0].family);
+    }
+  });
+};
+
+const httpAgent = new http.Agent({ lookup: safeLookup });
+const httpsAgent = new https.Agent({ lookup: safeLookup });
+
+// Check a URL before requesting it: http(s) only, and no literal blocked IPs (those skip DNS lookup)
+export const checkFetchUrl = (urlString: string, label = 'URL'): URL => {
+  let url: URL;
+  try {
+    url = new URL(urlString);
+  } catch {
+    throw new SafeFetchError(label, 'INVALID_URL', `${urlString} is not a valid URL`);
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw new SafeFetchError(label, 'INVALID_URL', `${url.protocol} URLs are not allowed, use http or https`);
+  }
+  if (url.username || url.password) {
+    throw new SafeFetchError(label, 'INVALID_URL', 'URLs with credentials are not allowed');
+  }
+
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  if (!getConfig().fetch.allowPrivateAddresses && net.isIP(host) && isBlockedAddress(host)) {
+    throw new SafeFetchError(label, 'BLOCKED_DESTINATION', `${host} is a private or reserved address`);
+  }
+  return url;
+};
+
+// Translate node-fetch and socket errors into our error codes
+const toSafeFetchError = (error: unknown, label: string, timeoutMs: number, maxBytes: number): SafeFetchError => {
+  if (error instanceof SafeFetchError) {
+    return error;
+  }
+  if (error instanceof FetchError) {
+    if (error.type === 'max-size') {
+      return new SafeFetchError(label, 'RESPONSE_TOO_LARGE', `response exceeds ${maxBytes} bytes`);
+    }
+    if (error.type === 'request-timeout' || error.type === 'body-timeout') {
+      return new SafeFetchError(label, 'TIMEOUT', `no complete response within ${timeoutMs}ms`);
+    }
+    if (error.code === BLOCKED_LOOKUP_CODE) {
+      return new SafeFetchError(label, 'BLOCKED_DESTINATION', error.message.replace(/^request to \S+ failed, reason: /, ''));
+    }
+    if (error.code === 'ENOTFOUND' || error.code === 'EAI_AGAIN') {
+      return new SafeFetchError(label, 'DNS_LOOKUP_FAILED', error.message);
+    }
+  }
+  return new SafeFetchError(label, 'NETWORK_ERROR', error instanceof Error ? error.message : String(error));
+};
+
+// Fetch a caller-supplied URL with destination checks on every hop and caps on redirects, time and size
+export const safeFetch = async (urlString: string, options: SafeFetchOptions = {}): Promise<SafeFetchResponse> => {
+  const config = getConfig().fetch;
+  const label = options.label ?? 'URL';
+  const maxBytes = options.maxBytes ?? config.maxBytes;
+  const timeoutMs = options.timeoutMs ?? config.timeoutMs;
+  const maxRedirects = options.maxRedirects ?? config.maxRedirects;
+  const deadline = Date.now() + timeoutMs;
+
+  try {
+    let url = checkFetchUrl(urlString, label);
+    for (let redirects = 0; ; redirects++) {
+      const remaining = deadline - Date.now();
+      if (remaining <= 0) {
+        throw new SafeFetchError(label, 'TIMEOUT', `no complete response within ${timeoutMs}ms`);
+      }
+
+      const response: Response = await fetch(url.toString(), {
+        redirect: 'manual',
+        size: maxBytes,
+        timeout: remaining,
+        agent: config.allowPrivateAddresses ? undefined : (parsed) => (parsed.protocol === 'https:' ? httpsAgent : httpAgent),
+      });
+
+      const location = response.headers.get('location');
+      if (response.status >= 300 && response.status < 400 && location) {
+        if (redirects >= maxRedirects) {
+          throw new SafeFetchError(label, 'TOO_MANY_REDIRECTS', `more than ${maxRedirects} redirects`);
+        }
+        url = checkFetchUrl(new URL(location, url).toString(), label);
+        continue;
+      }
+
+      if (!response.ok) {
+        throw new SafeFetchError(label, 'HTTP_ERROR', `${response.status} ${response.statusText}`);
+      }
+
+      return {
+        url: url.toString(),
+        status: response.status,
+        contentType: response.headers.get('content-type') ?? '',
+        body: await response.buffer(),
+      };
+    }
+  } catch (error) {
+    throw toSafeFetchError(error, label, timeoutMs, maxBytes);
+  }
+};
+
+// True for application/json and any +json type (e.g. application/ld+json)
+const isJsonContentType = (contentType: string): boolean => {
+  const mimeType = contentType.split(';')[0].trim().toLowerCase();
+  return mimeType === 'application/json' || /^[\w.-]+\/[\w.-]+\+json$/.test(mimeType);
+};
+
+// Fetch and parse a JSON document, requiring a JSON content type; the raw body is kept for hashing
+export const safeFetchJson = async (urlString: string, options: SafeFetchOptions = {}): Promise<SafeFetchResponse & { json: any }> => {
+  const label = options.label ?? 'URL';
+  const response = await safeFetch(urlString, options);
+
+  const isTextPlain = response.contentType.split(';')[0].trim().toLowerCase() === 'text/plain';
+  if (!isJsonContentType(response.contentType) && !(options.allowTextPlain && isTextPlain)) {
+    throw new SafeFetchError(label, 'INVALID_CONTENT_TYPE', `expected a JSON content type, got ${response.contentType || 'none'}`);
+  }
+  try {
+    return { ...response, json: JSON.parse(response.body.toString('utf8')) };
+  } catch (error) {
+    throw new SafeFetchError(label, 'INVALID_JSON', `response is not valid JSON (${error instanceof Error ? error.message : String(error)})`);
+  }
+};
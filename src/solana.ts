@@ -0,0 +1,48 @@
+import { mplTokenMetadata } from '@metaplex-foundation/mpl-token-metadata'
+import { keypairIdentity, Umi } from '@metaplex-foundation/umi'
+import { createUmi } from '@metaplex-foundation/umi-bundle-defaults'
+import { Connection, Keypair } from '@solana/web3.js'
+import fs from 'fs'
+import { getConfig } from './config'
+import { noteTransactionSent } from './idempotency'
+
+// Shared clients, created lazily from the active configuration
+let connection: Connection | null = null;
+let payerKeypair: Keypair | null = null;
+let umi: Umi | null = null;
+
+// web3.js connection for the configured RPC endpoint
+export const getConnection = (): Connection => {
+  if (!connection) {
+    const { rpcUrl, wsUrl, commitment } = getConfig();
+    connection = new Connection(rpcUrl, { commitment, wsEndpoint: wsUrl });
+
+    // Every transaction, including Umi's, goes out through sendRawTransaction. Noting it lets an
+    // idempotent request that failed before sending anything be run again with the same key
+    const sendRawTransaction = connection.sendRawTransaction.bind(connection);
+    connection.sendRawTransaction = (...args) => {
+      noteTransactionSent();
+      return sendRawTransaction(...args);
+    };
+  }
+  return connection;
+};
+
+// Service wallet that pays for and signs every transaction
+export const getPayerKeypair = (): Keypair => {
+  if (!payerKeypair) {
+    const walletFile = JSON.parse(fs.readFileSync(getConfig().payerKeypairPath, 'utf8'));
+    payerKeypair = Keypair.fromSecretKey(new Uint8Array(walletFile));
+  }
+  return payerKeypair;
+};
+
+// Umi instance built on the same connection, with the service wallet as identity
+export const getUmi = (): Umi => {
+  if (!umi) {
+    umi = createUmi(getConnection()).use(mplTokenMetadata());
+    const umiKeypair = umi.eddsa.createKeypairFromSecretKey(getPayerKeypair().secretKey);
+    umi.use(keypairIdentity(umiKeypair));
+  }
+  return umi;
+};
@@ -0,0 +1,56 @@
+import { createGenericFile } from '@metaplex-foundation/umi'
+import { irysUploader } from '@metaplex-foundation/umi-uploader-irys'
+import crypto from 'crypto'
+import fs from 'fs'
+import path from 'path'
+import { getConfig, StorageConfig, StorageDriverName } from './config'
+import { getUmi } from './solana'
+
+// A pluggable place to put uploaded files; upload returns a public URI for the file
+export interface StorageDriver {
+  name: StorageDriverName;
+  upload: (data: Buffer, contentType: string, fileName: string) => Promise<string>;
+}
+
+// Uploads to Arweave through Irys, paid for by the service wallet
+const createIrysDriver = (storage: StorageConfig): StorageDriver => {
+  // Installs the Irys uploader on the shared Umi instance, which has no other uploader
+  const umi = getUmi().use(irysUploader({ address: storage.irysAddress }));
+
+  return {
+    name: 'irys',
+    upload: async (data, contentType, fileName) => {
+      const [uri] = await umi.uploader.upload([
+        createGenericFile(data, fileName, { contentType, tags: [{ name: 'Content-Type', value: contentType }] }),
+      ]);
+      return uri;
+    },
+  };
+};
+
+// Writes into a local directory that the API server serves statically (for offline use and testing)
+const createLocalDriver = (storage: StorageConfig): StorageDriver => {
+  return {
+    name: 'local',
+    upload: async (data, contentType, fileName) => {
+      // Content-addressed names so re-uploading the same file is harmless
+      const hash = crypto.createHash('sha256').update(data).digest('hex');
+      const storedName = `${hash}${path.extname(fileName)}`;
+
+      await fs.promises.mkdir(storage.localDir, { recursive: true });
+      await fs.promises.writeFile(path.join(storage.localDir, storedName), data);
+      return `${storage.publicUrl}/${storedName}`;
+    },
+  };
+};
+
+let driver: StorageDriver | null = null;
+
+// Storage driver selected by the configuration
+export const getStorageDriver = (): StorageDriver => {
+  if (!driver) {
+    const { storage } = getConfig();
+    driver = storage.driver === 'irys' ? createIrysDriver(storage) : createLocalDriver(storage);
+  }
+  return driver;
+};
@@ -0,0 +1,210 @@
+import {
+  AuthorityType,
+  createInitializeMetadataPointerInstruction,
+  createInitializeMint2Instruction,
+  createInitializeNonTransferableMintInstruction,
+  createInitializePermanentDelegateInstruction,
+  createInitializeTransferFeeConfigInstruction,
+  createSetAuthorityInstruction,
+  ExtensionType,
+  getMintLen,
+  LENGTH_SIZE,
+  TOKEN_2022_PROGRAM_ID,
+  TOKEN_PROGRAM_ID,
+  TYPE_SIZE,
+} from '@solana/spl-token'
+import { createInitializeInstruction, createUpdateAuthorityInstruction, pack } from '@solana/spl-token-metadata'
+import {
+  Connection,
+  PublicKey,
+  SystemProgram,
+  TransactionInstruction
+} from '@solana/web3.js'
+import { parseTokenAmount } from './token-amount'
+
+// Token programs a mint can be created under
+export type TokenProgram = 'spl-token' | 'token-2022';
+
+// Optional Token-2022 extensions for new mints
+export interface Token2022Extensions {
+  transferFee?: {
+    basisPoints: number;
+    maximumFee: string; // Decimal amount, like initialSupply
+  };
+  nonTransferable?: boolean;
+  permanentDelegate?: string;
+}
+
+// Parameters for a Token-2022 mint carrying its own metadata
+export interface Token2022MintParams {
+  payer: PublicKey;
+  mint: PublicKey;
+  decimals: number;
+  name: string;
+  symbol: string;
+  uri: string;
+  extensions?: Token2022Extensions;
+}
+
+// Authorities that only exist on Token-2022 mints, through their extensions
+export type Token2022AuthorityKind =
+  | 'transferFeeConfigAuthority'
+  | 'withheldWithdrawAuthority'
+  | 'permanentDelegate'
+  | 'metadataPointerAuthority'
+  | 'metadataUpdateAuthority';
+
+export const TOKEN_2022_AUTHORITY_KINDS: Token2022AuthorityKind[] = [
+  'transferFeeConfigAuthority',
+  'withheldWithdrawAuthority',
+  'permanentDelegate',
+  'metadataPointerAuthority',
+  'metadataUpdateAuthority',
+];
+
+// Program id for a token program name
+export const getTokenProgramId = (program: TokenProgram = 'spl-token'): PublicKey => {
+  return program === 'token-2022' ? TOKEN_2022_PROGRAM_ID : TOKEN_PROGRAM_ID;
+};
+
+// Program name for the program that owns a mint account
+export const getTokenProgramName = (owner: PublicKey): TokenProgram | null => {
+  if (owner.equals(TOKEN_2022_PROGRAM_ID)) {
+    return 'token-2022';
+  }
+  return owner.equals(TOKEN_PROGRAM_ID) ? 'spl-token' : null;
+};
+
+// Instructions that create a Token-2022 mint with metadata pointer and token metadata extensions.
+// The metadata pointer targets the mint itself, so name/symbol/uri live on the mint account.
+export const buildCreateToken2022MintInstructions = async (
+  connection: Connection,
+  params: Token2022MintParams
+): Promise<TransactionInstruction[]> => {
+  const { payer, mint, decimals, name, symbol, uri, extensions = {} } = params;
+  const programId = TOKEN_2022_PROGRAM_ID;
+
+  const extensionTypes = [ExtensionType.MetadataPointer];
+  if (extensions.transferFee) {
+    extensionTypes.push(ExtensionType.TransferFeeConfig);
+  }
+  if (extensions.nonTransferable) {
+    extensionTypes.push(ExtensionType.NonTransferable);
+  }
+  if (extensions.permanentDelegate) {
+    extensionTypes.push(ExtensionType.PermanentDelegate);
+  }
+
+  // The account is allocated for the fixed-size extensions only; the token metadata
+  // initialize instruction reallocates it, so rent must already cover the metadata
+  const mintLen = getMintLen(extensionTypes);
+  const metadataLen = TYPE_SIZE + LENGTH_SIZE + pack({
+    updateAuthority: payer,
+    mint,
+    name,
+    symbol,
+    uri,
+    additionalMetadata: [],
+  }).length;
+  const lamports = await connection.getMinimumBalanceForRentExemption(mintLen + metadataLen);
+
+  const instructions: TransactionInstruction[] = [
+    SystemProgram.createAccount({
+      fromPubkey: payer,
+      newAccountPubkey: mint,
+      space: mintLen,
+      lamports,
+      programId,
+    }),
+    createInitializeMetadataPointerInstruction(mint, payer, mint, programId),
+  ];
+
+  // Extensions must be initialized before the mint itself
+  if (extensions.transferFee) {
+    instructions.push(createInitializeTransferFeeConfigInstruction(
+      mint,
+      payer, // Transfer fee config authority
+      payer, // Withheld withdraw authority
+      extensions.transferFee.basisPoints,
+      parseTokenAmount(extensions.transferFee.maximumFee, decimals),
+      programId
+    ));
+  }
+  if (extensions.nonTransferable) {
+    instructions.push(createInitializeNonTransferableMintInstruction(mint, programId));
+  }
+  if (extensions.permanentDelegate) {
+    instructions.push(createInitializePermanentDelegateInstruction(mint, new PublicKey(extensions.permanentDelegate), programId));
+  }
+
+  instructions.push(
+    createInitializeMint2Instruction(
+      mint,
+      decimals,
+      payer, // Mint authority (our wallet)
+      payer, // Freeze authority (our wallet)
+      programId
+    ),
+    createInitializeInstruction({
+      programId,
+      metadata: mint,
+      updateAuthority: payer,
+      mint,
+      mintAuthority: payer,
+      name,
+      symbol,
+      uri,
+    })
+  );
+
+  return instructions;
+};
+
+// Current extension authorities from jsonParsed mint info (absent extensions are omitted)
+export const getToken2022Authorities = (parsedMintInfo: any): Partial<Record<Token2022AuthorityKind, string | null>> => {
+  const extensions: { extension: string; state: any }[] = parsedMintInfo.extensions ?? [];
+  const state = (name: string) => extensions.find((entry) => entry.extension === name)?.state;
+  const authorities: Partial<Record<Token2022AuthorityKind, string | null>> = {};
+
+  const transferFee = state('transferFeeConfig');
+  if (transferFee) {
+    authorities.transferFeeConfigAuthority = transferFee.transferFeeConfigAuthority ?? null;
+    authorities.withheldWithdrawAuthority = transferFee.withdrawWithheldAuthority ?? null;
+  }
+  const permanentDelegate = state('permanentDelegate');
+  if (permanentDelegate) {
+    authorities.permanentDelegate = permanentDelegate.delegate ?? null;
+  }
+  const metadataPointer = state('metadataPointer');
+  if (metadataPointer) {
+    authorities.metadataPointerAuthority = metadataPointer.authority ?? null;
+  }
+  const tokenMetadata = state('tokenMetadata');
+  if (tokenMetadata) {
+    authorities.metadataUpdateAuthority = tokenMetadata.updateAuthority ?? null;
+  }
+
+  return authorities;
+};
+
+// Instruction that moves (or, with a null new authority, revokes) a Token-2022 extension authority
+export const buildToken2022AuthorityInstruction = (
+  kind: Token2022AuthorityKind,
+  mint: PublicKey,
+  currentAuthority: PublicKey,
+  newAuthority: PublicKey | null
+): TransactionInstruction => {
+  const programId = TOKEN_2022_PROGRAM_ID;
+  switch (kind) {
+    case 'transferFeeConfigAuthority':
+      return createSetAuthorityInstruction(mint, currentAuthority, AuthorityType.TransferFeeConfig, newAuthority, [], programId);
+    case 'withheldWithdrawAuthority':
+      return createSetAuthorityInstruction(mint, currentAuthority, AuthorityType.WithheldWithdraw, newAuthority, [], programId);
+    case 'permanentDelegate':
+      return createSetAuthorityInstruction(mint, currentAuthority, AuthorityType.PermanentDelegate, newAuthority, [], programId);
+    case 'metadataPointerAuthority':
+      return createSetAuthorityInstruction(mint, currentAuthority, AuthorityType.MetadataPointer, newAuthority, [], programId);
+    case 'metadataUpdateAuthority':
+      return createUpdateAuthorityInstruction({ programId, metadata: mint, oldAuthority: currentAuthority, newAuthority });
+  }
+};
@@ -0,0 +1,33 @@
+// Largest value an SPL token amount (u64) can hold
+export const MAX_U64 = 2n ** 64n - 1n;
+
+// Highest number of decimals accepted for new mints
+export const MAX_DECIMALS = 9;
+
+// Convert a decimal token amount string (e.g. "1000.5") to base units without floating point
+export const parseTokenAmount = (amount: string, decimals: number): bigint => {
+  const trimmed = amount.trim();
+  const match = /^(\d+)(?:\.(\d+))?$/.exec(trimmed);
+  if (!match) {
+    throw new Error(`Invalid amount: "${amount}" is not a positive decimal number`);
+  }
+
+  const [, whole, fraction = ''] = match;
+  if (fraction.length > decimals) {
+    throw new Error(`Invalid amount: "${amount}" has more than ${decimals} decimal places`);
+  }
+
+  const baseUnits = BigInt(whole + fraction.padEnd(decimals, '0'));
+  if (baseUnits > MAX_U64) {
+    throw new Error(`Invalid amount: "${amount}" exceeds the maximum token supply`);
+  }
+  return baseUnits;
+};
+
+// Convert base units back to a decimal string, trimming trailing zeros
+export const formatTokenAmount = (baseUnits: bigint, decimals: number): string => {
+  const digits = baseUnits.toString().padStart(decimals + 1, '0');
+  const whole = digits.slice(0, digits.length - decimals);
+  const fraction = digits.slice(digits.length - decimals).replace(/0+$/, '');
+  return fraction ? `${whole}.${fraction}` : whole;
+};
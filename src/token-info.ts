@@ -0,0 +1,114 @@
+import {
+  safeFetchMetadataFromSeeds,
+  TokenStandard,
+} from '@metaplex-foundation/mpl-token-metadata'
+import { publicKey, unwrapOption } from '@metaplex-foundation/umi'
+import { getTokenMetadata, TOKEN_2022_PROGRAM_ID } from '@solana/spl-token'
+import { getExplorerUrl } from './config'
+import { fetchFromGateways } from './content-uri'
+import { getParsedMint } from './mint-account'
+import { safeFetchJson } from './safe-fetch'
+import { getConnection, getUmi } from './solana'
+import { formatTokenAmount } from './token-amount'
+import { getToken2022Authorities, Token2022AuthorityKind, TokenProgram } from './token-2022'
+
+// On-chain metadata, from the Metaplex account (classic SPL) or the mint itself (Token-2022)
+export interface TokenInfoMetadata {
+  source: 'metaplex' | 'token-2022';
+  address: string; // Metadata account (the mint itself for Token-2022)
+  name: string;
+  symbol: string;
+  uri: string;
+  updateAuthority: string | null;
+  isMutable: boolean;
+  tokenStandard: string | null;
+}
+
+// Token inspection result interface
+export interface TokenInfo {
+  mintAddress: string;
+  program: TokenProgram;
+  decimals: number;
+  supply: string; // Decimal amount
+  rawSupply: string; // Base units
+  mintAuthority: string | null;
+  freezeAuthority: string | null;
+  extensions?: string[]; // Token-2022 extension names
+  extensionAuthorities?: Partial<Record<Token2022AuthorityKind, string | null>>;
+  metadata: TokenInfoMetadata | null;
+  offChainMetadata: any | null;
+  offChainMetadataError?: string;
+  explorerUrl: string;
+}
+
+// Older Metaplex accounts pad name/symbol/uri with null bytes
+export const trimPadding = (value: string): string => value.replace(/\0/g, '');
+
+// Fetch the off-chain JSON a token's URI points at, without failing the whole lookup
+const fetchOffChainMetadata = async (uri: string): Promise<{ json: any | null; error?: string }> => {
+  try {
+    const { result } = await fetchFromGateways(uri, (url) => safeFetchJson(url, { label: 'metadata', allowTextPlain: true }));
+    return { json: result.json };
+  } catch (error) {
+    return { json: null, error: error instanceof Error ? error.message : String(error) };
+  }
+};
+
+// Read everything we know about a mint: supply, authorities, on-chain and off-chain metadata
+export const getTokenInfo = async (mintAddress: string): Promise<TokenInfo> => {
+  const connection = getConnection();
+  const { address: mint, program, info: mintData } = await getParsedMint(connection, mintAddress);
+
+  let metadata: TokenInfoMetadata | null = null;
+  if (program === 'token-2022') {
+    const tokenMetadata = await getTokenMetadata(connection, mint, undefined, TOKEN_2022_PROGRAM_ID);
+    if (tokenMetadata) {
+      metadata = {
+        source: 'token-2022',
+        address: mint.toString(),
+        name: tokenMetadata.name,
+        symbol: tokenMetadata.symbol,
+        uri: tokenMetadata.uri,
+        updateAuthority: tokenMetadata.updateAuthority?.toString() ?? null,
+        isMutable: Boolean(tokenMetadata.updateAuthority),
+        tokenStandard: null,
+      };
+    }
+  } else {
+    const metaplexMetadata = await safeFetchMetadataFromSeeds(getUmi(), { mint: publicKey(mint.toString()) });
+    if (metaplexMetadata) {
+      const tokenStandard = unwrapOption(metaplexMetadata.tokenStandard);
+      metadata = {
+        source: 'metaplex',
+        address: metaplexMetadata.publicKey.toString(),
+        name: trimPadding(metaplexMetadata.name),
+        symbol: trimPadding(metaplexMetadata.symbol),
+        uri: trimPadding(metaplexMetadata.uri),
+        updateAuthority: metaplexMetadata.updateAuthority.toString(),
+        isMutable: metaplexMetadata.isMutable,
+        tokenStandard: tokenStandard === null ? null : TokenStandard[tokenStandard],
+      };
+    }
+  }
+
+  const offChain = metadata?.uri ? await fetchOffChainMetadata(metadata.uri) : { json: null };
+  const rawSupply = BigInt(mintData.supply);
+
+  return {
+    mintAddress: mint.toString(),
+    program,
+    decimals: mintData.decimals,
+    supply: formatTokenAmount(rawSupply, mintData.decimals),
+    rawSupply: rawSupply.toString(),
+    mintAuthority: mintData.mintAuthority ?? null,
+    freezeAuthority: mintData.freezeAuthority ?? null,
+    ...(program === 'token-2022' && {
+      extensions: (mintData.extensions ?? []).map((entry) => entry.extension),
+      extensionAuthorities: getToken2022Authorities(mintData),
+    }),
+    metadata,
+    offChainMetadata: offChain.json,
+    ...(offChain.error && { offChainMetadataError: offChain.error }),
+    explorerUrl: getExplorerUrl('address', mint.toString()),
+  };
+};
@@ -0,0 +1,248 @@
+import { base58 } from '@metaplex-foundation/umi/serializers'
+import {
+  Connection,
+  Keypair,
+  PublicKey,
+  Transaction,
+  TransactionExpiredBlockheightExceededError,
+  TransactionInstruction
+} from '@solana/web3.js'
+import {
+  completeTokenCreation,
+  CreateTokenOptions,
+  CreationStep,
+  getCreationSteps,
+  planTokenCreation,
+  revokeTokenAuthorities,
+  RevokeAuthorityOptions,
+  summarizeTokenCreation,
+  TokenCreationSummary,
+} from './create-token'
+import { recordApiKeyUsage, releaseApiKeyToken } from './api-keys'
+import { JobRun, registerJobHandler } from './job-queue'
+import { getConnection, getPayerKeypair } from './solana'
+
+// Times a step is rebuilt with a fresh blockhash after its transaction expired without landing
+const MAX_SEND_ATTEMPTS = 3;
+
+// Parameters of the queued jobs, as validated by the routes
+export interface CreateTokenJobParams {
+  metadataUrl: string;
+  options: CreateTokenOptions;
+  reservedOn?: string; // Day the token was counted against options.apiKeyId's limit, released if the job fails
+}
+
+export interface RevokeAuthoritiesJobParams {
+  mintAddress: string;
+  options: RevokeAuthorityOptions;
+  apiKeyId?: string; // API key the revocation's costs are counted against
+}
+
+// A transaction instruction in JSON form
+interface StoredInstruction {
+  programId: string;
+  keys: { pubkey: string; isSigner: boolean; isWritable: boolean }[];
+  data: string; // Base64
+}
+
+// One creation transaction, with the secret keys of the new accounts that sign it
+interface StoredCreationStep {
+  step: CreationStep;
+  instructions: StoredInstruction[];
+  signers: number[][];
+}
+
+// A transaction recorded before it is sent, so a restart can tell whether it landed
+interface SentTransaction {
+  signature: string;
+  transaction: string; // Base64, fully signed
+  blockhash: string;
+  lastValidBlockHeight: number;
+}
+
+// Everything a creation job needs to resume without fetching the metadata or generating a new mint
+interface CreateTokenCheckpoint {
+  summary?: TokenCreationSummary;
+  steps?: StoredCreationStep[];
+  sent?: Partial<Record<CreationStep, SentTransaction>>;
+}
+
+const storeInstruction = (instruction: TransactionInstruction): StoredInstruction => ({
+  programId: instruction.programId.toString(),
+  keys: instruction.keys.map(({ pubkey, isSigner, isWritable }) => ({ pubkey: pubkey.toString(), isSigner, isWritable })),
+  data: instruction.data.toString('base64'),
+});
+
+const loadInstruction = (instruction: StoredInstruction): TransactionInstruction => new TransactionInstruction({
+  programId: new PublicKey(instruction.programId),
+  keys: instruction.keys.map(({ pubkey, isSigner, isWritable }) => ({ pubkey: new PublicKey(pubkey), isSigner, isWritable })),
+  data: Buffer.from(instruction.data, 'base64'),
+});
+
+// Wait for a sent transaction: true once it landed, false if its blockhash expired first
+const awaitTransaction = async (connection: Connection, sent: SentTransaction): Promise<boolean> => {
+  try {
+    const confirmation = await connection.confirmTransaction({
+      signature: sent.signature,
+      blockhash: sent.blockhash,
+      lastValidBlockHeight: sent.lastValidBlockHeight,
+    });
+    if (confirmation.value.err) {
+      throw new Error(`Transaction failed: ${JSON.stringify(confirmation.value.err)}`);
+    }
+    return true;
+  } catch (error) {
+    if (error instanceof TransactionExpiredBlockheightExceededError) {
+      return false;
+    }
+    throw error;
+  }
+};
+
+// Whether a transaction recorded before a restart landed, resending it while its blockhash is still valid.
+// Returns false when it can no longer land, so the step is safe to rebuild.
+const resumeTransaction = async (connection: Connection, sent: SentTransaction): Promise<boolean> => {
+  const { value: status } = await connection.getSignatureStatus(sent.signature, { searchTransactionHistory: true });
+  if (status?.err) {
+    throw new Error(`Transaction failed: ${JSON.stringify(status.err)}`);
+  }
+  if (status?.confirmationStatus === 'confirmed' || status?.confirmationStatus === 'finalized') {
+    return true;
+  }
+  if (await connection.getBlockHeight() > sent.lastValidBlockHeight) {
+    return false;
+  }
+
+  // The same signed transaction can only land once, so sending it again is safe
+  await connection.sendRawTransaction(Buffer.from(sent.transaction, 'base64'), { skipPreflight: true });
+  return awaitTransaction(connection, sent);
+};
+
+// Send a job step's transaction, recording it before it goes out so a restart never sends the step twice
+const sendJobStep = async (
+  run: JobRun,
+  step: CreationStep,
+  instructions: TransactionInstruction[],
+  signers: Keypair[]
+): Promise<string> => {
+  const connection = getConnection();
+  const web3Keypair = getPayerKeypair();
+  const checkpoint = run.checkpoint as CreateTokenCheckpoint;
+  const sent = (checkpoint.sent ??= {});
+
+  const previous = sent[step];
+  if (previous && await resumeTransaction(connection, previous)) {
+    return previous.signature;
+  }
+
+  for (let attempt = 1; attempt <= MAX_SEND_ATTEMPTS; attempt++) {
+    const { blockhash, lastValidBlockHeight } = await connection.getLatestBlockhash();
+    const transaction = new Transaction({ feePayer: web3Keypair.publicKey, blockhash, lastValidBlockHeight }).add(...instructions);
+    transaction.sign(web3Keypair, ...signers);
+
+    const record: SentTransaction = {
+      signature: base58.deserialize(transaction.signature as Buffer)[0],
+      transaction: transaction.serialize().toString('base64'),
+      blockhash,
+      lastValidBlockHeight,
+    };
+    sent[step] = record;
+    await run.updateStep(step, { signature: record.signature });
+
+    await connection.sendRawTransaction(transaction.serialize());
+    if (await awaitTransaction(connection, record)) {
+      return record.signature;
+    }
+    console.log(`⏳ "${step}" transaction expired before landing, retrying (${attempt}/${MAX_SEND_ATTEMPTS})...`);
+  }
+
+  throw new Error(`Transaction expired: the "${step}" transaction did not land after ${MAX_SEND_ATTEMPTS} attempts`);
+};
+
+// Plan once, persist the plan, then send each transaction in order
+const createTokenInSteps = async (run: JobRun): Promise<unknown> => {
+  const { metadataUrl, options } = run.params as unknown as CreateTokenJobParams;
+  const checkpoint = run.checkpoint as CreateTokenCheckpoint;
+
+  run.setSteps(['prepare']);
+  if (!checkpoint.steps || !checkpoint.summary) {
+    await run.updateStep('prepare', { status: 'running' });
+    const plan = await planTokenCreation(metadataUrl, options, getPayerKeypair().publicKey);
+    const steps = getCreationSteps(plan, options.atomic);
+
+    checkpoint.summary = summarizeTokenCreation(plan, options.atomic);
+    checkpoint.steps = steps.map(({ step, instructions, signers }) => ({
+      step,
+      instructions: instructions.map(storeInstruction),
+      signers: signers.map((signer) => Array.from(signer.secretKey)),
+    }));
+    run.setSteps(steps.map(({ step }) => step));
+    await run.updateStep('prepare', { status: 'done' });
+    console.log(`🪙 Creating token ${checkpoint.summary.mintAddress} in ${steps.length} transaction(s)...`);
+  }
+
+  const signatures: Partial<Record<CreationStep, string>> = {};
+  for (const { step, instructions, signers } of checkpoint.steps) {
+    if (run.getStep(step).status === 'done') {
+      signatures[step] = run.getStep(step).signature;
+      continue;
+    }
+
+    await run.updateStep(step, { status: 'running' });
+    const signature = await sendJobStep(
+      run,
+      step,
+      instructions.map(loadInstruction),
+      signers.map((secretKey) => Keypair.fromSecretKey(new Uint8Array(secretKey)))
+    );
+    signatures[step] = signature;
+    await run.updateStep(step, { status: 'done', signature });
+    console.log(`✅ "${step}" transaction confirmed:`, signature);
+  }
+
+  return completeTokenCreation(checkpoint.summary, signatures, options.apiKeyId);
+};
+
+// Token creation as a job. A failed job gives back its reserved token, but the transactions it sent
+// are still counted
+const runCreateTokenJob = async (run: JobRun): Promise<unknown> => {
+  const { options, reservedOn } = run.params as unknown as CreateTokenJobParams;
+  const checkpoint = run.checkpoint as CreateTokenCheckpoint;
+  try {
+    return await createTokenInSteps(run);
+  } catch (error) {
+    await recordApiKeyUsage(options.apiKeyId, { signatures: Object.values(checkpoint.sent ?? {}).flatMap((sent) => (sent ? [sent.signature] : [])) });
+    await releaseApiKeyToken(options.apiKeyId, reservedOn);
+    throw error;
+  }
+};
+
+// Authority revocation as a job. It is one transaction and skips authorities that are already revoked,
+// so a job interrupted by a restart simply runs again
+const runRevokeAuthoritiesJob = async (run: JobRun): Promise<unknown> => {
+  const { mintAddress, options, apiKeyId } = run.params as unknown as RevokeAuthoritiesJobParams;
+
+  run.setSteps(['revokeAuthorities']);
+  await run.updateStep('revokeAuthorities', { status: 'running' });
+  const result = await revokeTokenAuthorities(mintAddress, options);
+  if (!result.success) {
+    throw new Error(result.error || 'Failed to revoke authorities');
+  }
+  await run.updateStep('revokeAuthorities', { status: 'done', signature: result.signatures?.[0] });
+  await recordApiKeyUsage(apiKeyId, { signatures: result.signatures });
+
+  return {
+    mintAddress,
+    signatures: result.signatures || [],
+    revoked: result.revoked || { mintAuthority: false, freezeAuthority: false },
+    program: result.program,
+    pendingSignatures: result.pendingSignatures,
+    message: result.pendingSignatures ? 'Authority revocation is waiting for multisig signatures' : 'Authority revocation completed'
+  };
+};
+
+// Let the job worker run token creation and revocation jobs
+export const registerTokenJobHandlers = (): void => {
+  registerJobHandler('create-token', runCreateTokenJob);
+  registerJobHandler('revoke-authorities', runRevokeAuthoritiesJob);
+};
@@ -0,0 +1,215 @@
+import { getExplorerUrl } from './config'
+import { TokenCreationResult, MetaplexTokenStandard } from './create-token'
+import { createJsonStore } from './data-store'
+import { getParsedMint } from './mint-account'
+import { MultisigInfo } from './multisig'
+import { getConnection } from './solana'
+import { getToken2022Authorities, Token2022AuthorityKind, TokenProgram } from './token-2022'
+
+// Largest page GET /tokens returns
+export const MAX_TOKENS_PAGE_SIZE = 100;
+
+// Authorities a registered token can have, as tracked on the mint account
+export type RegisteredAuthorityKind = 'mintAuthority' | 'freezeAuthority' | Token2022AuthorityKind;
+
+// Current holder of each authority as last read from the chain (null once revoked)
+export type RegisteredAuthorities = Partial<Record<RegisteredAuthorityKind, string | null>>;
+
+// A transaction sent for a registered token
+export interface RegisteredTransaction {
+  operation: string; // Creation step ('createMint', 'mintTo', ...) or operation ('revokeAuthorities', 'updateMetadata', ...)
+  signature: string;
+  slot?: number | null;
+  explorerUrl: string;
+  recordedAt: string;
+}
+
+// A token created by this service
+export interface TokenRecord {
+  mintAddress: string;
+  metadataUri: string;
+  metadataSha256: string;
+  program: TokenProgram;
+  tokenStandard?: MetaplexTokenStandard;
+  decimals: number;
+  initialSupply: string;
+  multisig?: MultisigInfo;
+  apiKeyId?: string; // API key that requested the token
+  authorities: RegisteredAuthorities;
+  revokedAt: Partial<Record<RegisteredAuthorityKind, string>>; // When each authority was first seen revoked
+  transactions: RegisteredTransaction[];
+  createdAt: string;
+  updatedAt: string;
+}
+
+// What the registry needs about a new token: its creation result, with the transactions sent so far
+export type CreatedToken = Pick<
+  TokenCreationResult,
+  'mintAddress' | 'metadataUri' | 'metadataSha256' | 'program' | 'tokenStandard' | 'decimals' | 'initialSupply' | 'multisig'
+> & {
+  signatures: Partial<Record<string, { signature: string; slot?: number | null }>>;
+};
+
+export type AuthorityState = 'active' | 'revoked';
+export type TokenSortField = 'createdAt' | 'updatedAt';
+
+// Filters, sorting and paging for GET /tokens
+export interface TokenListQuery {
+  mintAuthority?: AuthorityState;
+  freezeAuthority?: AuthorityState;
+  program?: TokenProgram;
+  apiKeyId?: string;
+  createdAfter?: Date;
+  createdBefore?: Date;
+  sort?: TokenSortField; // Defaults to 'createdAt'
+  order?: 'asc' | 'desc'; // Defaults to 'desc' (newest first)
+  page?: number; // 1-based
+  limit?: number;
+}
+
+export interface TokenList {
+  tokens: TokenRecord[];
+  pagination: {
+    page: number;
+    limit: number;
+    total: number;
+    totalPages: number;
+  };
+}
+
+interface RegistryFile {
+  tokens: TokenRecord[];
+}
+
+const store = createJsonStore<RegistryFile>('tokens.json', () => ({ tokens: [] }));
+
+// Read the current authorities from the mint account
+const readAuthorities = async (mintAddress: string): Promise<RegisteredAuthorities> => {
+  const { program, info } = await getParsedMint(getConnection(), mintAddress);
+  return {
+    mintAuthority: info.mintAuthority,
+    freezeAuthority: info.freezeAuthority,
+    ...(program === 'token-2022' && getToken2022Authorities(info)),
+  };
+};
+
+// Note when authorities went from held to revoked
+const markRevoked = (record: TokenRecord, authorities: RegisteredAuthorities, now: string): void => {
+  for (const [kind, holder] of Object.entries(authorities) as [RegisteredAuthorityKind, string | null][]) {
+    if (holder === null && !record.revokedAt[kind]) {
+      record.revokedAt[kind] = now;
+    }
+  }
+};
+
+const toTransaction = (operation: string, signature: string, now: string, slot?: number | null): RegisteredTransaction => ({
+  operation,
+  signature,
+  slot,
+  explorerUrl: getExplorerUrl('tx', signature),
+  recordedAt: now,
+});
+
+// Record a token this service just created, or whose creation transaction a caller just submitted.
+// The token already exists on-chain, so a registry failure is logged rather than failing the creation
+export const registerCreatedToken = async (result: CreatedToken, apiKeyId?: string): Promise<void> => {
+  try {
+    const authorities = await readAuthorities(result.mintAddress);
+    const now = new Date().toISOString();
+    const record: TokenRecord = {
+      mintAddress: result.mintAddress,
+      metadataUri: result.metadataUri,
+      metadataSha256: result.metadataSha256,
+      program: result.program,
+      tokenStandard: result.tokenStandard,
+      decimals: result.decimals,
+      initialSupply: result.initialSupply,
+      multisig: result.multisig,
+      apiKeyId,
+      authorities,
+      revokedAt: {},
+      transactions: Object.entries(result.signatures).flatMap(([step, transaction]) =>
+        transaction ? [toTransaction(step, transaction.signature, now, transaction.slot)] : []
+      ),
+      createdAt: now,
+      updatedAt: now,
+    };
+    markRevoked(record, authorities, now);
+
+    await store.update(({ tokens }) => {
+      const index = tokens.findIndex((token) => token.mintAddress === record.mintAddress);
+      if (index === -1) {
+        tokens.push(record);
+      } else {
+        tokens[index] = record;
+      }
+    });
+    console.log(`🗃️  Registered token ${record.mintAddress}`);
+  } catch (error) {
+    console.error('⚠️  Could not register token:', error);
+  }
+};
+
+// Record transactions sent for a registered token and re-read its authorities afterwards.
+// Tokens this service did not create are ignored
+export const recordTokenTransactions = async (
+  mintAddress: string,
+  operation: string,
+  signatures: string[],
+  changes: Partial<Pick<TokenRecord, 'metadataUri' | 'metadataSha256'>> = {}
+): Promise<void> => {
+  try {
+    const { tokens } = await store.read();
+    if (signatures.length === 0 || !tokens.some((token) => token.mintAddress === mintAddress)) {
+      return;
+    }
+
+    const authorities = await readAuthorities(mintAddress);
+    const now = new Date().toISOString();
+    await store.update(({ tokens: current }) => {
+      const record = current.find((token) => token.mintAddress === mintAddress);
+      if (!record) {
+        return;
+      }
+      Object.assign(record, changes);
+      record.authorities = authorities;
+      markRevoked(record, authorities, now);
+      record.transactions.push(...signatures.map((signature) => toTransaction(operation, signature, now)));
+      record.updatedAt = now;
+    });
+  } catch (error) {
+    console.error('⚠️  Could not update token registry:', error);
+  }
+};
+
+// Registered tokens matching the filters, sorted and paged
+export const listTokens = async (query: TokenListQuery = {}): Promise<TokenList> => {
+  const { sort = 'createdAt', order = 'desc', page = 1, limit = 20 } = query;
+  const matchesState = (holder: string | null | undefined, state?: AuthorityState): boolean => {
+    return state === undefined || (state === 'revoked' ? holder === null : Boolean(holder));
+  };
+
+  const matching = (await store.read()).tokens.filter((token) => {
+    const createdAt = new Date(token.createdAt);
+    return matchesState(token.authorities.mintAuthority, query.mintAuthority)
+      && matchesState(token.authorities.freezeAuthority, query.freezeAuthority)
+      && (query.program === undefined || token.program === query.program)
+      && (query.apiKeyId === undefined || token.apiKeyId === query.apiKeyId)
+      && (query.createdAfter === undefined || createdAt >= query.createdAfter)
+      && (query.createdBefore === undefined || createdAt < query.createdBefore);
+  });
+
+  // ISO timestamps sort correctly as strings
+  const direction = order === 'asc' ? 1 : -1;
+  matching.sort((a, b) => a[sort].localeCompare(b[sort]) * direction);
+
+  return {
+    tokens: matching.slice((page - 1) * limit, page * limit),
+    pagination: {
+      page,
+      limit,
+      total: matching.length,
+      totalPages: Math.ceil(matching.length / limit),
+    },
+  };
+};
@@ -0,0 +1,120 @@
+import {
+  safeFetchMetadataFromSeeds,
+  updateV1,
+} from '@metaplex-foundation/mpl-token-metadata'
+import { publicKey } from '@metaplex-foundation/umi'
+import { toWeb3JsInstruction } from '@metaplex-foundation/umi-web3js-adapters'
+import {
+  AuthorityType,
+  createSetAuthorityInstruction
+} from '@solana/spl-token'
+import {
+  PublicKey,
+  Transaction,
+  sendAndConfirmTransaction
+} from '@solana/web3.js'
+import { getParsedMint } from './mint-account'
+import { getConnection, getPayerKeypair, getUmi } from './solana'
+import { recordTokenTransactions } from './token-registry'
+import { buildToken2022AuthorityInstruction, getToken2022Authorities, TokenProgram } from './token-2022'
+
+// New owners for each authority (omitted authorities are left unchanged)
+export interface TransferAuthorityOptions {
+  mintAuthority?: string;
+  freezeAuthority?: string;
+  metadataUpdateAuthority?: string;
+}
+
+// Authorities moved by a transfer request
+export interface TransferredAuthorities {
+  mintAuthority: boolean;
+  freezeAuthority: boolean;
+  metadataUpdateAuthority: boolean;
+}
+
+// Function to hand token authorities over to new owners
+export const transferTokenAuthorities = async (
+  mintAddress: string,
+  options: TransferAuthorityOptions
+): Promise<{ success: boolean; signatures?: string[]; error?: string; transferred?: TransferredAuthorities; program?: TokenProgram }> => {
+  try {
+    const connection = getConnection();
+    const web3Keypair = getPayerKeypair();
+    const wallet = web3Keypair.publicKey.toString();
+
+    // Get mint info to check current authorities
+    const { address: mint, programId, program, info: mintData } = await getParsedMint(connection, mintAddress);
+    console.log('Current mint authority:', mintData.mintAuthority);
+    console.log('Current freeze authority:', mintData.freezeAuthority);
+
+    const signatures: string[] = [];
+    const transferred: TransferredAuthorities = { mintAuthority: false, freezeAuthority: false, metadataUpdateAuthority: false };
+    const transaction = new Transaction();
+
+    // Mint and freeze authorities use SetAuthority on either token program
+    const mintAuthorityTypes = [
+      { key: 'mintAuthority', type: AuthorityType.MintTokens, current: mintData.mintAuthority },
+      { key: 'freezeAuthority', type: AuthorityType.FreezeAccount, current: mintData.freezeAuthority },
+    ] as const;
+
+    for (const { key, type, current } of mintAuthorityTypes) {
+      const newAuthority = options[key];
+      if (!newAuthority) {
+        continue;
+      }
+      if (current !== wallet) {
+        console.log(`⚠️  Warning: Cannot transfer ${key} ${current ?? '(revoked)'}`);
+        continue;
+      }
+
+      console.log(`🔑 Transferring ${key} to ${newAuthority}...`);
+      transaction.add(createSetAuthorityInstruction(mint, web3Keypair.publicKey, type, new PublicKey(newAuthority), [], programId));
+      transferred[key] = true;
+    }
+
+    // Metadata update authority lives in the Metaplex account (classic SPL) or on the mint (Token-2022)
+    if (options.metadataUpdateAuthority) {
+      const newAuthority = new PublicKey(options.metadataUpdateAuthority);
+
+      if (program === 'token-2022') {
+        const currentAuthority = getToken2022Authorities(mintData).metadataUpdateAuthority;
+        if (currentAuthority === wallet) {
+          console.log(`📝 Transferring metadata update authority to ${newAuthority.toString()}...`);
+          transaction.add(buildToken2022AuthorityInstruction('metadataUpdateAuthority', mint, web3Keypair.publicKey, newAuthority));
+          transferred.metadataUpdateAuthority = true;
+        } else {
+          console.log(`⚠️  Warning: Cannot transfer metadata update authority ${currentAuthority ?? '(none)'}`);
+        }
+      } else {
+        const umi = getUmi();
+        const metadata = await safeFetchMetadataFromSeeds(umi, { mint: publicKey(mint.toString()) });
+        if (metadata && metadata.updateAuthority.toString() === wallet && metadata.isMutable) {
+          console.log(`📝 Transferring metadata update authority to ${newAuthority.toString()}...`);
+          const updateIx = updateV1(umi, {
+            mint: publicKey(mint.toString()),
+            authority: umi.identity,
+            newUpdateAuthority: publicKey(newAuthority.toString()),
+          });
+          transaction.add(...updateIx.getInstructions().map(toWeb3JsInstruction));
+          transferred.metadataUpdateAuthority = true;
+        } else {
+          const reason = !metadata ? 'no metadata account' : !metadata.isMutable ? 'metadata is immutable' : metadata.updateAuthority.toString();
+          console.log(`⚠️  Warning: Cannot transfer metadata update authority (${reason})`);
+        }
+      }
+    }
+
+    if (transaction.instructions.length > 0) {
+      const signature = await sendAndConfirmTransaction(connection, transaction, [web3Keypair]);
+      signatures.push(signature);
+      console.log('✅ Authorities transferred successfully!');
+      console.log('📝 Transaction signature:', signature);
+      await recordTokenTransactions(mint.toString(), 'transferAuthorities', signatures);
+    }
+
+    return { success: true, signatures, transferred, program };
+  } catch (error) {
+    console.error('Error transferring authorities:', error);
+    return { success: false, error: error instanceof Error ? error.message : String(error) };
+  }
+};
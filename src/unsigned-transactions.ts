@@ -0,0 +1,294 @@
+import crypto from 'crypto'
+import {
+  BlockhashWithExpiryBlockHeight,
+  Keypair,
+  PublicKey,
+  SystemProgram,
+  Transaction,
+  TransactionInstruction
+} from '@solana/web3.js'
+import { getExplorerUrl } from './config'
+import { createJsonStore } from './data-store'
+import { getCurrentNonce, releaseNonceAccount, reserveNonceAccount } from './nonce-accounts'
+import { getConnection, getPayerKeypair } from './solana'
+import { CreatedToken, recordTokenTransactions, registerCreatedToken } from './token-registry'
+
+// How long issued transactions are remembered; their blockhash expires well before this
+const PENDING_TTL_MS = 10 * 60 * 1000;
+
+// How long transactions using a durable nonce are remembered, which is how long signers have to sign
+const NONCE_PENDING_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// One transaction to build for the caller's wallet
+export interface TransactionStep {
+  step: string;
+  instructions: TransactionInstruction[];
+  signers?: Keypair[]; // Server-held keys that sign before the transaction is handed out (e.g. a new mint)
+  register?: TokenRegistration; // Token this transaction creates, registered once it lands
+}
+
+// A token to add to the registry when the transaction creating it is submitted
+export interface TokenRegistration {
+  token: Omit<CreatedToken, 'signatures'>;
+  apiKeyId?: string; // API key that requested the token
+}
+
+// A transaction handed to the caller to sign and send back through /submit
+export interface IssuedTransaction {
+  step: string;
+  transaction: string; // Base64, partially signed by the server-held keys
+  signers: string[]; // Public keys whose signatures are still missing
+  nonceAccount?: string; // Durable nonce account used instead of a recent blockhash
+}
+
+// Transactions issued together, to be submitted in order
+export interface PreparedTransactions {
+  payer: string;
+  transactions: IssuedTransaction[];
+  lastValidBlockHeight?: number; // Submit before the chain passes this block height (unset with a durable nonce)
+  expiresAt?: string; // With a durable nonce: submit before this time
+}
+
+// Result of submitting a signed transaction: broadcast once every signature is in, otherwise still collecting
+export interface SubmittedTransaction {
+  step: string;
+  status: 'confirmed' | 'awaiting-signatures';
+  signature?: string;
+  slot?: number | null;
+  explorerUrl?: string;
+  missingSigners?: string[]; // Signers that still have to submit their signature
+  context: Record<string, string>; // What the transaction was issued for (e.g. mintAddress)
+}
+
+interface PendingTransaction {
+  step: string;
+  transaction: string; // Base64, as issued plus every signature submitted so far
+  context: Record<string, string>;
+  previous?: string; // Key of the transaction that has to land first
+  blockhash: string; // Recent blockhash, or the nonce when nonceAccount is set
+  lastValidBlockHeight?: number;
+  nonceAccount?: string;
+  expiresAt: number;
+  register?: TokenRegistration;
+  submitted?: SubmittedTransaction;
+}
+
+interface PendingTransactionsFile {
+  transactions: Record<string, PendingTransaction>;
+}
+
+// Issued transactions keyed by the SHA-256 of their message, so a submission can only be one we built.
+// Saved in the data directory, so signatures collected over days survive a restart
+const store = createJsonStore<PendingTransactionsFile>('pending-transactions.json', () => ({ transactions: {} }));
+
+const messageKey = (message: Buffer): string => crypto.createHash('sha256').update(message).digest('hex');
+
+const serializeTransaction = (transaction: Transaction): string => {
+  return transaction.serialize({ requireAllSignatures: false, verifySignatures: false }).toString('base64');
+};
+
+const getMissingSigners = (transaction: Transaction): string[] => {
+  return transaction.signatures.filter(({ signature }) => !signature).map(({ publicKey }) => publicKey.toString());
+};
+
+// Forget a transaction. Its nonce account is freed unless the transaction landed (which freed it already)
+const dropPending = async (key: string): Promise<void> => {
+  const entry = await store.update(({ transactions }) => {
+    const dropped = transactions[key];
+    delete transactions[key];
+    return dropped;
+  });
+  if (entry?.nonceAccount && !entry.submitted) {
+    await releaseNonceAccount(entry.nonceAccount);
+  }
+};
+
+const pruneExpired = async (): Promise<void> => {
+  const now = Date.now();
+  const expired = Object.entries((await store.read()).transactions).filter(([, entry]) => entry.expiresAt <= now);
+  for (const [key] of expired) {
+    await dropPending(key);
+  }
+};
+
+// An empty transaction that stays valid until a recent blockhash expires, or, without one, until the
+// nonce of a reserved nonce account is used
+const newTransaction = async (
+  payer: PublicKey,
+  latest: BlockhashWithExpiryBlockHeight | null
+): Promise<{ transaction: Transaction; blockhash: string; nonceAccount?: string }> => {
+  if (latest) {
+    return { transaction: new Transaction({ feePayer: payer, ...latest }), blockhash: latest.blockhash };
+  }
+  const { nonceAccount, nonce } = await reserveNonceAccount();
+  const nonceInstruction = SystemProgram.nonceAdvance({
+    noncePubkey: new PublicKey(nonceAccount),
+    authorizedPubkey: getPayerKeypair().publicKey,
+  });
+  return { transaction: new Transaction({ feePayer: payer, nonceInfo: { nonce, nonceInstruction } }), blockhash: nonce, nonceAccount };
+};
+
+// Build transactions with the caller's wallet as fee payer, sign them with any server-held keys
+// and remember them for /submit. With durableNonce, each transaction uses a nonce account of the
+// service wallet instead of a recent blockhash, so it stays valid while signers take their time;
+// the service wallet advances the nonce and has to be among the step's signers
+export const issueTransactions = async (
+  payer: PublicKey,
+  steps: TransactionStep[],
+  context: Record<string, string> = {},
+  { durableNonce = false }: { durableNonce?: boolean } = {}
+): Promise<PreparedTransactions> => {
+  await pruneExpired();
+  const latest = durableNonce ? null : await getConnection().getLatestBlockhash();
+  const expiresAt = Date.now() + (durableNonce ? NONCE_PENDING_TTL_MS : PENDING_TTL_MS);
+
+  let previous: string | undefined;
+  const transactions: IssuedTransaction[] = [];
+  for (const { step, instructions, signers = [], register } of steps) {
+    const { transaction, blockhash, nonceAccount } = await newTransaction(payer, latest);
+    transaction.add(...instructions);
+    if (signers.length > 0) {
+      transaction.partialSign(...signers);
+    }
+
+    const key = messageKey(transaction.serializeMessage());
+    const entry: PendingTransaction = {
+      step,
+      transaction: serializeTransaction(transaction),
+      context,
+      previous,
+      blockhash,
+      lastValidBlockHeight: latest?.lastValidBlockHeight,
+      nonceAccount,
+      expiresAt,
+      register,
+    };
+    await store.update((data) => {
+      data.transactions[key] = entry;
+    });
+    previous = key;
+
+    transactions.push({
+      step,
+      transaction: entry.transaction,
+      signers: getMissingSigners(transaction),
+      nonceAccount,
+    });
+  }
+
+  return {
+    payer: payer.toString(),
+    transactions,
+    ...(latest ? { lastValidBlockHeight: latest.lastValidBlockHeight } : { expiresAt: new Date(expiresAt).toISOString() }),
+  };
+};
+
+// Collect the signatures on a submitted copy of an issued transaction, and broadcast it once every
+// signer has signed. Signers can submit one at a time (e.g. multisig members) or all at once.
+export const submitTransaction = async (serialized: string): Promise<SubmittedTransaction> => {
+  await pruneExpired();
+
+  let transaction: Transaction;
+  try {
+    transaction = Transaction.from(Buffer.from(serialized, 'base64'));
+  } catch (error) {
+    throw new Error(`Invalid transaction: ${error instanceof Error ? error.message : String(error)}`);
+  }
+
+  const key = messageKey(transaction.serializeMessage());
+  const stored = (await store.read()).transactions[key];
+  if (!stored) {
+    throw new Error('Unknown transaction: it was not issued by this server, was modified after issuing, or has expired');
+  }
+  if (stored.submitted) {
+    // Resubmitting a landed transaction is harmless; report the original result
+    return stored.submitted;
+  }
+
+  if (!transaction.verifySignatures(false)) {
+    throw new Error('Invalid transaction: a signature does not match the transaction');
+  }
+
+  // Merge inside the update so signers submitting at the same time do not drop each other's signatures
+  const merged = await store.update(({ transactions }) => {
+    const entry = transactions[key];
+    if (!entry) {
+      return null;
+    }
+    const issued = Transaction.from(Buffer.from(entry.transaction, 'base64'));
+    for (const { publicKey, signature } of transaction.signatures) {
+      if (signature) {
+        issued.addSignature(publicKey, signature);
+      }
+    }
+    entry.transaction = serializeTransaction(issued);
+    return { entry, issued };
+  });
+  if (!merged) {
+    throw new Error('Unknown transaction: it was not issued by this server, was modified after issuing, or has expired');
+  }
+  const { entry, issued } = merged;
+
+  const missingSigners = getMissingSigners(issued);
+  if (missingSigners.length > 0) {
+    console.log(`✍️  "${entry.step}" transaction still needs signatures from: ${missingSigners.join(', ')}`);
+    return { step: entry.step, status: 'awaiting-signatures', missingSigners, context: entry.context };
+  }
+
+  const previous = entry.previous ? (await store.read()).transactions[entry.previous] : undefined;
+  if (entry.previous && !previous?.submitted) {
+    throw new Error(`Out of order: submit the "${previous?.step ?? 'previous'}" transaction first`);
+  }
+
+  const connection = getConnection();
+  if (entry.nonceAccount) {
+    if (await getCurrentNonce(entry.nonceAccount) !== entry.blockhash) {
+      await dropPending(key);
+      throw new Error('Transaction expired: its nonce has already been used, request new transactions');
+    }
+  } else if (await connection.getBlockHeight() > (entry.lastValidBlockHeight ?? 0)) {
+    await dropPending(key);
+    throw new Error('Transaction expired: its blockhash is no longer valid, request new transactions');
+  }
+
+  console.log(`📤 Submitting signed "${entry.step}" transaction...`);
+  const minContextSlot = await connection.getSlot();
+  const signature = await connection.sendRawTransaction(issued.serialize());
+  const confirmation = await connection.confirmTransaction(entry.nonceAccount
+    ? { signature, minContextSlot, nonceAccountPubkey: new PublicKey(entry.nonceAccount), nonceValue: entry.blockhash }
+    : { signature, blockhash: entry.blockhash, lastValidBlockHeight: entry.lastValidBlockHeight ?? 0 });
+  if (confirmation.value.err) {
+    // A failed transaction still advances its nonce, so it cannot be submitted again
+    if (entry.nonceAccount) {
+      await dropPending(key);
+    }
+    throw new Error(`Transaction failed: ${JSON.stringify(confirmation.value.err)}`);
+  }
+  console.log('📝 Transaction signature:', signature);
+
+  const status = await connection.getSignatureStatus(signature, { searchTransactionHistory: true });
+  const submitted: SubmittedTransaction = {
+    step: entry.step,
+    status: 'confirmed',
+    signature,
+    slot: status.value?.slot ?? null,
+    explorerUrl: getExplorerUrl('tx', signature),
+    context: entry.context
+  };
+  await store.update(({ transactions }) => {
+    if (transactions[key]) {
+      transactions[key].submitted = submitted;
+    }
+  });
+  if (entry.nonceAccount) {
+    await releaseNonceAccount(entry.nonceAccount);
+  }
+
+  if (entry.register) {
+    const { token, apiKeyId } = entry.register;
+    await registerCreatedToken({ ...token, signatures: { [entry.step]: { signature, slot: submitted.slot } } }, apiKeyId);
+  } else if (entry.context.mintAddress) {
+    await recordTokenTransactions(entry.context.mintAddress, entry.step, [signature]);
+  }
+  return submitted;
+};
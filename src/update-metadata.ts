@@ -0,0 +1,213 @@
+import {
+  fetchMetadataFromSeeds,
+  Metadata,
+  updateV1,
+} from '@metaplex-foundation/mpl-token-metadata'
+import { publicKey } from '@metaplex-foundation/umi'
+import { toWeb3JsInstruction } from '@metaplex-foundation/umi-web3js-adapters'
+import { getTokenMetadata, TOKEN_2022_PROGRAM_ID } from '@solana/spl-token'
+import { createUpdateFieldInstruction, Field, pack } from '@solana/spl-token-metadata'
+import {
+  PublicKey,
+  SystemProgram,
+  Transaction,
+  TransactionInstruction,
+  sendAndConfirmTransaction
+} from '@solana/web3.js'
+import { getExplorerUrl } from './config'
+import { parseContentUri } from './content-uri'
+import { fetchTokenMetadata } from './create-token'
+import { getParsedMint } from './mint-account'
+import { getConnection, getPayerKeypair, getUmi } from './solana'
+import { trimPadding } from './token-info'
+import { recordTokenTransactions } from './token-registry'
+import { buildToken2022AuthorityInstruction, TokenProgram } from './token-2022'
+
+// On-chain metadata values reported before and after an update
+export interface OnChainMetadata {
+  name: string;
+  symbol: string;
+  uri: string;
+  updateAuthority: string | null;
+  isMutable: boolean;
+}
+
+// Options for a metadata update
+export interface UpdateMetadataOptions {
+  isMutable?: boolean; // Set to false to lock the metadata permanently
+}
+
+// Metadata update result interface
+export interface UpdateMetadataResult {
+  mintAddress: string;
+  metadataUrl: string;
+  metadataSha256: string; // SHA-256 of the metadata JSON the token now points at
+  signature: string | null; // null when nothing changed on-chain
+  explorerUrl: string | null;
+  before: OnChainMetadata;
+  after: OnChainMetadata;
+  program: TokenProgram;
+}
+
+const fromMetaplexMetadata = (metadata: Metadata): OnChainMetadata => ({
+  name: trimPadding(metadata.name),
+  symbol: trimPadding(metadata.symbol),
+  uri: trimPadding(metadata.uri),
+  updateAuthority: metadata.updateAuthority.toString(),
+  isMutable: metadata.isMutable,
+});
+
+// Read the current on-chain metadata for either token program
+const readOnChainMetadata = async (mint: PublicKey, program: TokenProgram): Promise<OnChainMetadata> => {
+  if (program === 'token-2022') {
+    const metadata = await getTokenMetadata(getConnection(), mint, undefined, TOKEN_2022_PROGRAM_ID);
+    if (!metadata) {
+      throw new Error('Could not fetch metadata: mint has no token metadata extension');
+    }
+    return {
+      name: metadata.name,
+      symbol: metadata.symbol,
+      uri: metadata.uri,
+      updateAuthority: metadata.updateAuthority?.toString() ?? null,
+      isMutable: Boolean(metadata.updateAuthority),
+    };
+  }
+
+  try {
+    return fromMetaplexMetadata(await fetchMetadataFromSeeds(getUmi(), { mint: publicKey(mint.toString()) }));
+  } catch {
+    throw new Error('Could not fetch metadata: mint has no Metaplex metadata account');
+  }
+};
+
+// Instructions that rewrite a Token-2022 mint's metadata fields, topping up rent if it grows
+const buildToken2022UpdateInstructions = async (
+  mint: PublicKey,
+  authority: PublicKey,
+  fields: { name: string; symbol: string; uri: string }
+): Promise<TransactionInstruction[]> => {
+  const connection = getConnection();
+  const current = await getTokenMetadata(connection, mint, undefined, TOKEN_2022_PROGRAM_ID);
+  if (!current) {
+    throw new Error('Could not fetch metadata: mint has no token metadata extension');
+  }
+
+  const instructions: TransactionInstruction[] = [];
+  const growth = pack({ ...current, ...fields }).length - pack(current).length;
+  if (growth > 0) {
+    const accountInfo = await connection.getAccountInfo(mint);
+    if (accountInfo) {
+      const required = await connection.getMinimumBalanceForRentExemption(accountInfo.data.length + growth);
+      if (required > accountInfo.lamports) {
+        instructions.push(SystemProgram.transfer({ fromPubkey: authority, toPubkey: mint, lamports: required - accountInfo.lamports }));
+      }
+    }
+  }
+
+  const changes: [Field, string][] = [
+    [Field.Name, fields.name],
+    [Field.Symbol, fields.symbol],
+    [Field.Uri, fields.uri],
+  ];
+  const currentValues = { [Field.Name]: current.name, [Field.Symbol]: current.symbol, [Field.Uri]: current.uri };
+  for (const [field, value] of changes) {
+    if (currentValues[field] !== value) {
+      instructions.push(createUpdateFieldInstruction({
+        programId: TOKEN_2022_PROGRAM_ID,
+        metadata: mint,
+        updateAuthority: authority,
+        field,
+        value,
+      }));
+    }
+  }
+  return instructions;
+};
+
+// Update a token's name, symbol and URI from a new metadata URL using our retained update authority
+export const updateTokenMetadata = async (
+  mintAddress: string,
+  metadataUrl: string,
+  options: UpdateMetadataOptions = {}
+): Promise<UpdateMetadataResult> => {
+  try {
+    const connection = getConnection();
+    const web3Keypair = getPayerKeypair();
+
+    const { address: mint, program } = await getParsedMint(connection, mintAddress);
+    const before = await readOnChainMetadata(mint, program);
+    console.log('Current metadata:', before);
+
+    if (!before.isMutable) {
+      throw new Error('Metadata is immutable and can no longer be updated');
+    }
+    if (before.updateAuthority !== web3Keypair.publicKey.toString()) {
+      throw new Error(`Not update authority: update authority is ${before.updateAuthority}`);
+    }
+    if (options.isMutable === true && program === 'token-2022') {
+      // Token-2022 metadata is mutable for as long as it has an update authority
+      console.log('ℹ️  isMutable: true has no effect on Token-2022 metadata');
+    }
+
+    // Fetch and validate the new metadata before touching the chain
+    const metadataUri = parseContentUri(metadataUrl).uri;
+    const { metadata, sha256: metadataSha256 } = await fetchTokenMetadata(metadataUri);
+    const fields = { name: metadata.name, symbol: metadata.symbol, uri: metadataUri };
+    const lock = options.isMutable === false;
+
+    const transaction = new Transaction();
+    if (program === 'token-2022') {
+      transaction.add(...await buildToken2022UpdateInstructions(mint, web3Keypair.publicKey, fields));
+      if (lock) {
+        // Removing the update authority is how Token-2022 metadata is made immutable
+        transaction.add(buildToken2022AuthorityInstruction('metadataUpdateAuthority', mint, web3Keypair.publicKey, null));
+      }
+    } else {
+      const umi = getUmi();
+      const current = await fetchMetadataFromSeeds(umi, { mint: publicKey(mint.toString()) });
+      const changed = fields.name !== before.name || fields.symbol !== before.symbol || fields.uri !== before.uri;
+      if (changed || lock) {
+        const updateIx = updateV1(umi, {
+          mint: publicKey(mint.toString()),
+          authority: umi.identity,
+          data: {
+            name: fields.name,
+            symbol: fields.symbol,
+            uri: fields.uri,
+            sellerFeeBasisPoints: current.sellerFeeBasisPoints,
+            creators: current.creators,
+          },
+          isMutable: lock ? false : undefined,
+        });
+        transaction.add(...updateIx.getInstructions().map(toWeb3JsInstruction));
+      }
+    }
+
+    let signature: string | null = null;
+    if (transaction.instructions.length > 0) {
+      console.log(`📝 Updating metadata for ${mint.toString()}...`);
+      signature = await sendAndConfirmTransaction(connection, transaction, [web3Keypair]);
+      console.log('✅ Metadata updated successfully!');
+      console.log('📝 Transaction signature:', signature);
+      await recordTokenTransactions(mint.toString(), 'updateMetadata', [signature], { metadataUri, metadataSha256 });
+    } else {
+      console.log('ℹ️  Metadata already up to date');
+    }
+
+    const after = await readOnChainMetadata(mint, program);
+
+    return {
+      mintAddress: mint.toString(),
+      metadataUrl,
+      metadataSha256,
+      signature,
+      explorerUrl: signature ? getExplorerUrl('tx', signature) : null,
+      before,
+      after,
+      program
+    };
+  } catch (error) {
+    console.error('Error updating metadata:', error);
+    throw error;
+  }
+};
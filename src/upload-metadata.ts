@@ -0,0 +1,69 @@
+import path from 'path'
+import { StorageDriverName } from './config'
+import { TokenMetadata } from './create-token'
+import { ImageInfo, inspectImage } from './image-verification'
+import { assertValidMetadata } from './metadata-validation'
+import { getStorageDriver } from './storage'
+
+// Image types accepted for upload, with the file extension used when storing them
+export const UPLOAD_IMAGE_TYPES: Record<string, string> = {
+  'image/png': '.png',
+  'image/jpeg': '.jpg',
+  'image/gif': '.gif',
+  'image/webp': '.webp',
+  'image/svg+xml': '.svg',
+};
+
+// An image to upload alongside the metadata
+export interface UploadImage {
+  data: Buffer;
+  contentType: string;
+  fileName?: string;
+}
+
+// Where the uploaded files ended up
+export interface UploadedMetadata {
+  imageUri: string;
+  metadataUri: string;
+  metadata: TokenMetadata;
+  image: ImageInfo;
+  storage: StorageDriverName;
+}
+
+// Upload the image, then a metadata JSON pointing at it, through the configured storage driver
+export const uploadTokenMetadata = async (
+  fields: Omit<TokenMetadata, 'image'>,
+  image: UploadImage
+): Promise<UploadedMetadata> => {
+  const extension = UPLOAD_IMAGE_TYPES[image.contentType];
+  if (!extension) {
+    throw new Error(`Invalid image: unsupported content type ${image.contentType}`);
+  }
+  const imageInfo = inspectImage(image.data, image.contentType);
+
+  const driver = getStorageDriver();
+  const baseName = path.parse(image.fileName || 'image').name;
+
+  console.log(`Uploading image via ${driver.name} storage...`);
+  const imageUri = await driver.upload(image.data, image.contentType, `${baseName}${extension}`);
+  console.log('Image uploaded to:', imageUri);
+  imageInfo.url = imageUri;
+
+  const metadata: TokenMetadata = { ...fields, image: imageUri };
+  assertValidMetadata(metadata);
+
+  // Standard Metaplex off-chain layout so wallets and explorers pick up the image
+  const json = {
+    ...metadata,
+    properties: {
+      files: [{ uri: imageUri, type: image.contentType }],
+      category: 'image',
+    },
+  };
+
+  console.log(`Uploading metadata JSON via ${driver.name} storage...`);
+  const metadataUri = await driver.upload(Buffer.from(JSON.stringify(json, null, 2)), 'application/json', 'metadata.json');
+  console.log('Metadata uploaded to:', metadataUri);
+
+  return { imageUri, metadataUri, metadata, image: imageInfo, storage: driver.name };
+};
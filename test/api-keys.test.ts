@@ -0,0 +1,93 @@
+import './setup'
+import assert from 'node:assert/strict'
+import { describe, it } from 'node:test'
+import {
+  API_KEY_PREFIX,
+  authenticateApiKey,
+  checkApiKeyQuota,
+  createApiKey,
+  getApiKeyUsage,
+  releaseApiKeyToken,
+  reserveApiKeyToken,
+  revokeApiKey,
+  setApiKeyLimits
+} from '../src/api-keys'
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+describe('API keys', () => {
+  it('authenticates a created key by its hash until it is revoked', async () => {
+    const { key, record } = await createApiKey('partner', {});
+    assert.ok(key.startsWith(API_KEY_PREFIX));
+    assert.ok(!JSON.stringify(record).includes(key), 'the key itself must not be stored');
+
+    assert.equal((await authenticateApiKey(key))?.id, record.id);
+    assert.equal(await authenticateApiKey(`${key}x`), null);
+    assert.equal(await authenticateApiKey(`${API_KEY_PREFIX}unknown`), null);
+
+    await revokeApiKey(record.id);
+    assert.equal(await authenticateApiKey(key), null);
+  });
+
+  it('changes and removes limits', async () => {
+    const { record } = await createApiKey('limits', { tokensPerDay: 5 });
+    const updated = await setApiKeyLimits(record.id, { tokensPerDay: null, lamportsPerDay: 1000 });
+    assert.deepEqual(updated.limits, { lamportsPerDay: 1000 });
+    await assert.rejects(setApiKeyLimits('key_missing', { tokensPerDay: 1 }), /API key not found/);
+  });
+});
+
+describe('API key quotas', () => {
+  it('reserves tokens up to the daily limit, then refuses', async () => {
+    const { record } = await createApiKey('tokens', { tokensPerDay: 2 });
+
+    assert.deepEqual(await reserveApiKeyToken(record), { reservedOn: today() });
+    assert.deepEqual(await reserveApiKeyToken(record), { reservedOn: today() });
+    const refused = await reserveApiKeyToken(record);
+    assert.ok('quotaError' in refused);
+    assert.match(refused.quotaError, /daily limit of 2 token\(s\)/);
+
+    assert.equal((await getApiKeyUsage(record.id)).tokensCreated, 2);
+    assert.match(await checkApiKeyQuota(record, true) ?? '', /Quota exceeded/);
+    assert.equal(await checkApiKeyQuota(record, false), null, 'operations that create no token are still allowed');
+  });
+
+  it('does not let parallel reservations take the last token twice', async () => {
+    const { record } = await createApiKey('parallel', { tokensPerDay: 1 });
+    const results = await Promise.all([reserveApiKeyToken(record), reserveApiKeyToken(record), reserveApiKeyToken(record)]);
+    assert.equal(results.filter((result) => 'reservedOn' in result).length, 1);
+    assert.equal((await getApiKeyUsage(record.id)).tokensCreated, 1);
+  });
+
+  it('gives a released token back, but only on the day it was reserved', async () => {
+    const { record } = await createApiKey('release', { tokensPerDay: 1 });
+    const reservation = await reserveApiKeyToken(record);
+    assert.ok('reservedOn' in reservation);
+
+    await releaseApiKeyToken(record.id, '2000-01-01');
+    assert.equal((await getApiKeyUsage(record.id)).tokensCreated, 1);
+
+    await releaseApiKeyToken(record.id, reservation.reservedOn);
+    assert.equal((await getApiKeyUsage(record.id)).tokensCreated, 0);
+    assert.equal(await checkApiKeyQuota(record, true), null);
+
+    // Releasing more than was reserved never goes below zero
+    await releaseApiKeyToken(record.id, reservation.reservedOn);
+    assert.equal((await getApiKeyUsage(record.id)).tokensCreated, 0);
+  });
+
+  it('refuses every operation once the lamport limit is reached', async () => {
+    const { record } = await createApiKey('lamports', { lamportsPerDay: 0 });
+    assert.match(await checkApiKeyQuota(record, false) ?? '', /daily limit of 0 lamports/);
+    const refused = await reserveApiKeyToken(record);
+    assert.ok('quotaError' in refused);
+  });
+
+  it('never limits keys without limits', async () => {
+    const { record } = await createApiKey('unlimited', {});
+    for (let i = 0; i < 5; i++) {
+      assert.ok('reservedOn' in await reserveApiKeyToken(record));
+    }
+    assert.equal(await checkApiKeyQuota(record, true), null);
+  });
+});
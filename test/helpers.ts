@@ -0,0 +1,28 @@
+import express from 'express'
+import { AddressInfo } from 'net'
+
+// Serve an Express app on a free local port for one test, closed by the returned function
+export const listen = async (app: express.Express): Promise<{ url: string; close: () => Promise<void> }> => {
+  const server = await new Promise<ReturnType<express.Express['listen']>>((resolve) => {
+    const started = app.listen(0, '127.0.0.1', () => resolve(started));
+  });
+  const { port } = server.address() as AddressInfo;
+  return {
+    url: `http://127.0.0.1:${port}`,
+    close: () => new Promise((resolve, reject) => {
+      server.closeAllConnections();
+      server.close((error) => (error ? reject(error) : resolve()));
+    }),
+  };
+};
+
+// A promise with its resolve function, to hold a handler until the test lets it finish
+export const deferred = <T = void>(): { promise: Promise<T>; resolve: (value: T) => void } => {
+  let resolve: (value: T) => void = () => undefined;
+  const promise = new Promise<T>((settle) => {
+    resolve = settle;
+  });
+  return { promise, resolve };
+};
+
+export const sleep = (ms: number): Promise<void> => new Promise((resolve) => setTimeout(resolve, ms));
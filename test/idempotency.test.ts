@@ -0,0 +1,163 @@
+import './setup'
+import assert from 'node:assert/strict'
+import crypto from 'crypto'
+import { describe, it } from 'node:test'
+import express from 'express'
+import { getDataPath, writeJsonFile } from '../src/data-store'
+import { idempotent, markRetryableFailure, noteTransactionSent } from '../src/idempotency'
+import { deferred, listen, sleep } from './helpers'
+
+// A POST route behind the middleware that answers with whatever the body asks for, counting its runs
+const createApp = () => {
+  const state = { runs: 0, gate: null as Promise<void> | null };
+  const app = express();
+  app.use(express.json());
+  app.post('/operation', idempotent(() => 'test-scope'), async (req, res) => {
+    state.runs++;
+    if (state.gate) {
+      await state.gate;
+    }
+    if (req.body.sent) {
+      noteTransactionSent();
+    }
+    if (req.body.retryable) {
+      markRetryableFailure();
+    }
+    res.status(req.body.status ?? 200).json({ success: (req.body.status ?? 200) < 400, run: state.runs });
+  });
+  return { app, state };
+};
+
+const post = (url: string, key: string | undefined, body: Record<string, unknown>) => fetch(`${url}/operation`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json', ...(key !== undefined && { 'Idempotency-Key': key }) },
+  body: JSON.stringify(body),
+});
+
+describe('idempotent', () => {
+  it('replays the stored response instead of running the request again', async () => {
+    const { app, state } = createApp();
+    const server = await listen(app);
+    try {
+      const key = crypto.randomUUID();
+      const first = await post(server.url, key, { name: 'a', amount: 1 });
+      assert.equal(first.status, 200);
+      assert.equal(first.headers.get('idempotent-replayed'), null);
+
+      // Same body with its keys in another order
+      const replay = await post(server.url, key, { amount: 1, name: 'a' });
+      assert.equal(replay.status, 200);
+      assert.equal(replay.headers.get('idempotent-replayed'), 'true');
+      assert.deepEqual(await replay.json(), await first.json());
+      assert.equal(state.runs, 1);
+    } finally {
+      await server.close();
+    }
+  });
+
+  it('runs requests without a key every time', async () => {
+    const { app, state } = createApp();
+    const server = await listen(app);
+    try {
+      await post(server.url, undefined, {});
+      await post(server.url, undefined, {});
+      assert.equal(state.runs, 2);
+    } finally {
+      await server.close();
+    }
+  });
+
+  it('refuses malformed keys and keys reused for a different body', async () => {
+    const { app } = createApp();
+    const server = await listen(app);
+    try {
+      assert.equal((await post(server.url, 'has spaces', {})).status, 400);
+
+      const key = crypto.randomUUID();
+      assert.equal((await post(server.url, key, { amount: 1 })).status, 200);
+      const reused = await post(server.url, key, { amount: 2 });
+      assert.equal(reused.status, 422);
+      assert.match((await reused.json()).error, /different request/);
+    } finally {
+      await server.close();
+    }
+  });
+
+  it('answers 409 while the first request is still running', async () => {
+    const { app, state } = createApp();
+    const server = await listen(app);
+    try {
+      const gate = deferred();
+      state.gate = gate.promise;
+      const key = crypto.randomUUID();
+      const first = post(server.url, key, {});
+      while (state.runs === 0) {
+        await sleep(5);
+      }
+
+      const concurrent = await post(server.url, key, {});
+      assert.equal(concurrent.status, 409);
+      assert.equal(concurrent.headers.get('retry-after'), '1');
+
+      gate.resolve();
+      assert.equal((await first).status, 200);
+      assert.equal(state.runs, 1);
+    } finally {
+      await server.close();
+    }
+  });
+
+  it('does not store 429 responses, 5xx or retryable failures before anything was sent', async () => {
+    const { app, state } = createApp();
+    const server = await listen(app);
+    try {
+      for (const body of [{ status: 429 }, { status: 500 }, { status: 400, retryable: true }]) {
+        const key = crypto.randomUUID();
+        const runsBefore = state.runs;
+        assert.equal((await post(server.url, key, body)).status, body.status);
+        const retry = await post(server.url, key, body);
+        assert.equal(retry.headers.get('idempotent-replayed'), null);
+        assert.equal(state.runs, runsBefore + 2, `a ${body.status} response must not be replayed`);
+      }
+    } finally {
+      await server.close();
+    }
+  });
+
+  it('stores failures once a transaction was sent, and non-retryable client errors', async () => {
+    const { app, state } = createApp();
+    const server = await listen(app);
+    try {
+      for (const body of [{ status: 500, sent: true }, { status: 400, retryable: true, sent: true }, { status: 400 }]) {
+        const key = crypto.randomUUID();
+        const runsBefore = state.runs;
+        assert.equal((await post(server.url, key, body)).status, body.status);
+        const replay = await post(server.url, key, body);
+        assert.equal(replay.status, body.status);
+        assert.equal(replay.headers.get('idempotent-replayed'), 'true');
+        assert.equal(state.runs, runsBefore + 1);
+      }
+    } finally {
+      await server.close();
+    }
+  });
+
+  it('refuses a key whose request was interrupted by a restart', async () => {
+    // A stored "in-progress" record that no running request owns, as a restart leaves behind
+    const key = crypto.randomUUID();
+    const id = crypto.createHash('sha256').update(`test-scope\n${key}`).digest('hex');
+    const fingerprint = crypto.createHash('sha256').update('POST /operation\n{}').digest('hex');
+    await writeJsonFile(getDataPath('idempotency', `${id}.json`), { fingerprint, status: 'in-progress', createdAt: new Date().toISOString() });
+
+    const { app, state } = createApp();
+    const server = await listen(app);
+    try {
+      const response = await post(server.url, key, {});
+      assert.equal(response.status, 409);
+      assert.match((await response.json()).error, /interrupted/);
+      assert.equal(state.runs, 0);
+    } finally {
+      await server.close();
+    }
+  });
+});
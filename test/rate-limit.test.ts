@@ -0,0 +1,190 @@
+import './setup'
+import assert from 'node:assert/strict'
+import { describe, it } from 'node:test'
+import express from 'express'
+import { createConcurrencyLimiter, createRateLimiter } from '../src/rate-limit'
+import { deferred, listen, sleep } from './helpers'
+
+describe('createRateLimiter', () => {
+  const createApp = (max: number) => {
+    const app = express();
+    app.use(createRateLimiter({ windowMs: 60_000, max, keyOf: (req) => req.get('x-client'), message: 'Too many requests' }));
+    app.get('/', (req, res) => res.json({ success: true }));
+    return app;
+  };
+
+  it('refuses requests past the limit with Retry-After and RateLimit headers', async () => {
+    const server = await listen(createApp(2));
+    try {
+      const statuses: number[] = [];
+      let last: Response | undefined;
+      for (let i = 0; i < 3; i++) {
+        last = await fetch(server.url, { headers: { 'x-client': 'a' } });
+        statuses.push(last.status);
+      }
+      assert.deepEqual(statuses, [200, 200, 429]);
+      assert.equal(last?.headers.get('ratelimit-limit'), '2');
+      assert.equal(last?.headers.get('ratelimit-remaining'), '0');
+      assert.ok(Number(last?.headers.get('retry-after')) > 0);
+      assert.deepEqual(await last?.json(), { success: false, error: 'Too many requests' });
+    } finally {
+      await server.close();
+    }
+  });
+
+  it('counts each client separately and skips requests without a key', async () => {
+    const server = await listen(createApp(1));
+    try {
+      assert.equal((await fetch(server.url, { headers: { 'x-client': 'a' } })).status, 200);
+      assert.equal((await fetch(server.url, { headers: { 'x-client': 'b' } })).status, 200);
+      assert.equal((await fetch(server.url, { headers: { 'x-client': 'a' } })).status, 429);
+      for (let i = 0; i < 3; i++) {
+        const response = await fetch(server.url);
+        assert.equal(response.status, 200);
+        assert.equal(response.headers.get('ratelimit-limit'), null);
+      }
+    } finally {
+      await server.close();
+    }
+  });
+
+  it('does not limit anything when max is 0', async () => {
+    const server = await listen(createApp(0));
+    try {
+      for (let i = 0; i < 3; i++) {
+        assert.equal((await fetch(server.url, { headers: { 'x-client': 'a' } })).status, 200);
+      }
+    } finally {
+      await server.close();
+    }
+  });
+});
+
+describe('createConcurrencyLimiter', () => {
+  // A route whose handler waits until the test releases it, counting the handlers running at once
+  const createApp = (options: { maxInFlight: number; maxQueued: number; queueTimeoutMs: number }) => {
+    const limit = createConcurrencyLimiter(options);
+    const state = { running: 0, maxRunning: 0, started: 0, gates: [] as (() => void)[] };
+    const app = express();
+    app.post('/', limit(async (req, res) => {
+      state.started++;
+      state.running++;
+      state.maxRunning = Math.max(state.maxRunning, state.running);
+      const gate = deferred();
+      state.gates.push(gate.resolve);
+      await gate.promise;
+      state.running--;
+      res.json({ success: true });
+    }));
+    return { app, state };
+  };
+
+  const waitFor = async (condition: () => boolean) => {
+    for (let i = 0; i < 200 && !condition(); i++) {
+      await sleep(5);
+    }
+    assert.ok(condition(), 'condition not reached in time');
+  };
+
+  it('queues requests past maxInFlight and runs them in order as slots free up', async () => {
+    const { app, state } = createApp({ maxInFlight: 1, maxQueued: 5, queueTimeoutMs: 5000 });
+    const server = await listen(app);
+    try {
+      const first = fetch(server.url, { method: 'POST' });
+      await waitFor(() => state.started === 1);
+      const second = fetch(server.url, { method: 'POST' });
+      await sleep(50);
+      assert.equal(state.started, 1);
+
+      state.gates[0]();
+      assert.equal((await first).status, 200);
+      await waitFor(() => state.started === 2);
+      state.gates[1]();
+      assert.equal((await second).status, 200);
+      assert.equal(state.maxRunning, 1);
+    } finally {
+      await server.close();
+    }
+  });
+
+  it('refuses requests with 429 when the queue is full', async () => {
+    const { app, state } = createApp({ maxInFlight: 1, maxQueued: 0, queueTimeoutMs: 5000 });
+    const server = await listen(app);
+    try {
+      const first = fetch(server.url, { method: 'POST' });
+      await waitFor(() => state.started === 1);
+
+      const refused = await fetch(server.url, { method: 'POST' });
+      assert.equal(refused.status, 429);
+      assert.equal(refused.headers.get('retry-after'), '5');
+
+      state.gates[0]();
+      assert.equal((await first).status, 200);
+    } finally {
+      await server.close();
+    }
+  });
+
+  it('refuses a queued request with 429 when no slot frees up in time', async () => {
+    const { app, state } = createApp({ maxInFlight: 1, maxQueued: 5, queueTimeoutMs: 50 });
+    const server = await listen(app);
+    try {
+      const first = fetch(server.url, { method: 'POST' });
+      await waitFor(() => state.started === 1);
+
+      const timedOut = await fetch(server.url, { method: 'POST' });
+      assert.equal(timedOut.status, 429);
+      assert.match((await timedOut.json()).error, /within 50ms/);
+
+      state.gates[0]();
+      assert.equal((await first).status, 200);
+    } finally {
+      await server.close();
+    }
+  });
+
+  it('keeps the slot until the handler finishes when the client disconnects', async () => {
+    const { app, state } = createApp({ maxInFlight: 1, maxQueued: 5, queueTimeoutMs: 5000 });
+    const server = await listen(app);
+    try {
+      const aborted = new AbortController();
+      const first = fetch(server.url, { method: 'POST', signal: aborted.signal }).catch(() => undefined);
+      await waitFor(() => state.started === 1);
+      aborted.abort();
+      await first;
+
+      const second = fetch(server.url, { method: 'POST' });
+      await sleep(50);
+      assert.equal(state.started, 1, 'the second request must wait for the abandoned handler');
+
+      state.gates[0]();
+      await waitFor(() => state.started === 2);
+      state.gates[1]();
+      assert.equal((await second).status, 200);
+      assert.equal(state.maxRunning, 1);
+    } finally {
+      await server.close();
+    }
+  });
+
+  it('frees the slot when the handler throws', async () => {
+    const limit = createConcurrencyLimiter({ maxInFlight: 1, maxQueued: 0, queueTimeoutMs: 5000 });
+    const app = express();
+    app.post('/', limit(async () => {
+      throw new Error('boom');
+    }));
+    app.use((error: Error, req: express.Request, res: express.Response, next: express.NextFunction) => {
+      res.status(500).json({ success: false, error: error.message });
+    });
+    const server = await listen(app);
+    try {
+      for (let i = 0; i < 2; i++) {
+        const response = await fetch(server.url, { method: 'POST' });
+        assert.equal(response.status, 500);
+        assert.equal((await response.json()).error, 'boom');
+      }
+    } finally {
+      await server.close();
+    }
+  });
+});
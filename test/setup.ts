@@ -0,0 +1,17 @@
+import { Keypair } from '@solana/web3.js'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+
+// Import first in every test file: a throwaway wallet and data directory per test process, on devnet
+// settings (so private addresses are blocked), removed when the process exits
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'token-api-test-'));
+const walletPath = path.join(dir, 'wallet.json');
+fs.writeFileSync(walletPath, JSON.stringify(Array.from(Keypair.generate().secretKey)));
+
+process.env.SOLANA_CLUSTER = 'devnet';
+process.env.SOLANA_PAYER_KEYPAIR = walletPath;
+process.env.DATA_DIR = path.join(dir, 'data');
+process.env.FETCH_ALLOW_PRIVATE_ADDRESSES = 'false';
+
+process.on('exit', () => fs.rmSync(dir, { recursive: true, force: true }));